@@ -4,45 +4,49 @@ import { hideBin } from 'yargs/helpers'
 import {
   createGlobalStore,
   createScopedState,
+  createSlice,
   fromJS,
-  isImmutable // For immutable check demo
+  isImmutable, // For immutable check demo
+  persistStateMiddleware,
+  rehydrateStateAsync
 } from './src/index.js' // Adjust path if running from root
+// Node-only, so it is imported directly rather than through the browser-safe entry point
+import createFileSystemAdapter from './src/persistence/fileSystemAdapter.js'
 
 // --- Global Store Example ---
-const initialGlobalState = fromJS({
-  user: null,
-  counter: 0,
-  items: [],
+// The slice generates the action types ('app/increment', ...), the reducer and the action creators together.
+const appSlice = createSlice({
+  name: 'app',
+  initialState: {
+    user: null,
+    counter: 0,
+    items: [],
+  },
+  reducers: {
+    increment: {
+      reducer: (state, action) => state.update('counter', count => count + action.payload),
+      prepare: (amount = 1) => ({ payload: amount }),
+    },
+    setUser: {
+      reducer: (state, action) => state.set('user', fromJS(action.payload)),
+      prepare: (name, id) => ({ payload: { name, id } }),
+    },
+    addItem: (state, action) => state.update('items', items => items.push(fromJS(action.payload))),
+  },
 })
 
-const actionTypes = {
-  // We'll keep these for actions not converted to store.actions for demonstration variety
-  ADD_ITEM: 'ADD_ITEM',
-}
+// --- Persistence ---
+// The global state is saved to disk after every action and restored on the next run, so commands build on each other.
+// Set DEPSTATE_STATE_DIR to choose where the state files go (default: .depstate in the working directory).
+const persistKey = 'globalState'
+const stateAdapter = createFileSystemAdapter({ directory: process.env.DEPSTATE_STATE_DIR || '.depstate' })
+const persistence = persistStateMiddleware({ key: persistKey, adapter: stateAdapter, throttleWait: 0 })
+const persistedState = await rehydrateStateAsync({ key: persistKey, adapter: stateAdapter })
 
-// Define action creators for the new store.actions feature
-const globalStoreActionCreators = {
-  increment: (amount = 1) => ({ type: 'INCREMENT_COUNTER', payload: amount }),
-  setUser: (name, id) => ({ type: 'SET_USER_DATA', payload: { name, id } }),
-  // ADD_ITEM could also be here, but we'll leave one manual dispatch for variety
-}
-
-function globalReducer(state = initialGlobalState, action) {
-  switch (action.type) {
-    case 'INCREMENT_COUNTER': // Renamed to avoid conflict if old 'INCREMENT' was used elsewhere
-      return state.update('counter', count => count + action.payload)
-    case 'SET_USER_DATA': // Renamed
-      return state.set('user', fromJS(action.payload))
-    case actionTypes.ADD_ITEM:
-      return state.update('items', items => items.push(fromJS(action.payload)))
-    default:
-      return state
-  }
-}
-
-// Initialize globalStore with the new actions config
-const globalStore = createGlobalStore(globalReducer, initialGlobalState, {
-  actions: globalStoreActionCreators
+// Initialize globalStore with the slice's action creators as store.actions
+const globalStore = createGlobalStore(appSlice.reducer, persistedState ?? appSlice.getInitialState(), {
+  actions: appSlice.actions,
+  middleware: [persistence],
 })
 
 // --- Scoped State Example ---
@@ -51,44 +55,48 @@ const immutableScopedObj = createScopedState({ data: 'initial', nested: { value:
 const bridgedScopedState = createScopedState({ localData: 'local' }, { globalStore })
 
 
-yargs(hideBin(process.argv))
+await yargs(hideBin(process.argv))
   .command('global:getState', 'Get the current global state', () => {
     console.log('Current Global State:')
     console.log(JSON.stringify(globalStore.getState().toJS(), null, 2))
   })
-  .command('global:action:increment [amount]', 'Dispatch INCREMENT action via store.actions', (yargs) => {
+  .command('global:reset', 'Delete the persisted global state', async () => {
+    await stateAdapter.removeItem(persistKey)
+    console.log(`Removed the persisted state from ${stateAdapter.directory}.`)
+  })
+  .command('global:action:increment [amount]', 'Dispatch app/increment via store.actions', (yargs) => {
     return yargs.positional('amount', {
       describe: 'Amount to increment by',
       type: 'number',
       default: 1
     })
   }, (argv) => {
-    console.log(`Dispatching INCREMENT via store.actions.increment(${argv.amount})...`)
+    console.log(`Dispatching app/increment via store.actions.increment(${argv.amount})...`)
     globalStore.actions.increment(argv.amount) // Using new ergonomic action
     console.log('New Global State:')
     console.log(JSON.stringify(globalStore.getState().toJS(), null, 2))
   })
-  .command('global:action:setUser [name]', 'Dispatch SET_USER action via store.actions', (yargs) => {
+  .command('global:action:setUser [name]', 'Dispatch app/setUser via store.actions', (yargs) => {
     return yargs.positional('name', {
       describe: 'Name of the user',
       type: 'string',
       default: 'CLI User via Action'
     })
   }, (argv) => {
-    console.log(`Dispatching SET_USER via store.actions.setUser('${argv.name}')...`)
+    console.log(`Dispatching app/setUser via store.actions.setUser('${argv.name}')...`)
     globalStore.actions.setUser(argv.name, Date.now()) // Using new ergonomic action
     console.log('New Global State:')
     console.log(JSON.stringify(globalStore.getState().toJS(), null, 2))
   })
-  .command('global:dispatch:addItem [item]', 'Dispatch ADD_ITEM action (manual dispatch example)', (yargs) => {
+  .command('global:dispatch:addItem [item]', 'Dispatch app/addItem (manual dispatch example)', (yargs) => {
     return yargs.positional('item', {
       describe: 'Item to add (string)',
       type: 'string',
       default: 'default_item_manual'
     })
   }, (argv) => {
-    console.log(`Dispatching ADD_ITEM with item: ${argv.item} (manual dispatch)...`)
-    globalStore.dispatch({ type: actionTypes.ADD_ITEM, payload: { name: argv.item, id: Date.now() } })
+    console.log(`Dispatching ${appSlice.actions.addItem.type} with item: ${argv.item} (manual dispatch)...`)
+    globalStore.dispatch(appSlice.actions.addItem({ name: argv.item, id: Date.now() }))
     console.log('New Global State:')
     console.log(JSON.stringify(globalStore.getState().toJS(), null, 2))
   })
@@ -140,7 +148,7 @@ yargs(hideBin(process.argv))
     const reactiveCounter = bridgedScopedState.createGlobalStateSelector(state => state.get('counter'))
     console.log('Initial reactiveCounter.val:', reactiveCounter.val)
 
-    console.log('Dispatching global INCREMENT via store.actions to test reactivity...')
+    console.log('Dispatching global app/increment via store.actions to test reactivity...')
     globalStore.actions.increment(10) // Increment by 10
 
     // Note: In a real app, VanJS derivations would update automatically.
@@ -148,11 +156,11 @@ yargs(hideBin(process.argv))
     console.log('reactiveCounter.val after global dispatch:', reactiveCounter.val)
     console.log('To see it update other VanJS elements, you would use it in van.derive() or van.add() in a VanJS app.')
   })
-  .command('bridge:dispatchIncrement', 'Use bridged scoped state to dispatch INCREMENT to global store (dispatchGlobal)', () => {
-    console.log('Dispatching INCREMENT via bridged scoped state (dispatchGlobal)...')
+  .command('bridge:dispatchIncrement', 'Use bridged scoped state to dispatch app/increment to global store (dispatchGlobal)', () => {
+    console.log('Dispatching app/increment via bridged scoped state (dispatchGlobal)...')
     // For dispatchGlobal, we still need to construct the full action if not using store.actions
     // The action type should match what the reducer expects.
-    bridgedScopedState.dispatchGlobal({ type: 'INCREMENT_COUNTER', payload: 1 })
+    bridgedScopedState.dispatchGlobal(appSlice.actions.increment(1))
     const counter = bridgedScopedState.getGlobal(state => state.get('counter'))
     console.log('New global counter via bridged state:', counter)
   })
@@ -160,4 +168,7 @@ yargs(hideBin(process.argv))
   .strict()
   .help()
   .version(false) // Disable default yargs version flag
-  .argv
+  .parseAsync()
+
+// Make sure the last write reached the disk before the process exits.
+await persistence.flush()
@@ -0,0 +1,148 @@
+/**
+ * @file Async action lifecycle helper.
+ * createAsyncAction wraps a payload creator in a thunk that dispatches `type/pending`,
+ * then `type/fulfilled` or `type/rejected`, all tagged with the same request ID.
+ */
+
+let lastRequestId = 0
+
+function createRequestId() {
+  lastRequestId += 1
+  return `${Date.now().toString(36)}-${lastRequestId}`
+}
+
+/**
+ * Reduces a thrown value to plain data, so rejected actions stay serializable (DevTools, persistence).
+ * @param {any} error - The thrown value.
+ * @returns {{ name?: string, message: string, code?: any }} The serialized error.
+ */
+function serializeError(error) {
+  if (error !== null && typeof error === 'object') {
+    const serialized = { name: error.name, message: String(error.message) }
+    if (error.code !== undefined) {
+      serialized.code = error.code
+    }
+    return serialized
+  }
+  return { message: String(error) }
+}
+
+/**
+ * Creates a lifecycle action creator with a `.type` matching the actions it produces.
+ * @param {string} type - The full action type.
+ * @param {function(...any): object} prepare - Builds the action fields besides `type`.
+ * @returns {function(...any): object} The action creator.
+ */
+function createLifecycleAction(type, prepare) {
+  const actionCreator = (...args) => ({ type, ...prepare(...args) })
+  actionCreator.type = type
+  actionCreator.toString = () => type
+  return actionCreator
+}
+
+/**
+ * Creates an async action creator. Calling it returns a thunk, so it can be dispatched directly or
+ * passed in the `actions` option of createGlobalStore, where `await store.actions.fetchUser(id)`
+ * resolves with the payload creator's result (and rejects with its error).
+ *
+ * The thunk dispatches:
+ * - `${type}/pending` with `meta: { requestId, arg, requestStatus: 'pending' }` before the payload creator runs,
+ * - `${type}/fulfilled` with the result as `payload` once it resolves,
+ * - `${type}/rejected` with a serialized `error` (and `meta.aborted`) if it throws or the request is aborted.
+ *
+ * The returned promise also carries `requestId`, `arg` and `abort(reason)`. Aborting settles the request
+ * right away, even when the payload creator ignores its `signal`. A rejection nobody awaits is not reported
+ * as unhandled; the `rejected` action records it.
+ *
+ * @template A, R
+ * @param {string} type - The action type prefix, e.g. 'users/fetchById'.
+ * @param {function(A, object): (R | Promise<R>)} payloadCreator - Called as `payloadCreator(arg, thunkAPI)`, where
+ *                                                             thunkAPI is `{ dispatch, getState, dependencies, signal, requestId }`.
+ * @param {object} [options] - Optional parameters.
+ * @param {function(A, object): boolean} [options.condition] - Called as `condition(arg, { getState, dependencies })`
+ *                                                            before anything is dispatched. Returning false skips the
+ *                                                            request: nothing is dispatched and the promise resolves
+ *                                                            with undefined.
+ * @returns {function(A, { signal?: AbortSignal }=): function} The async action creator, with `pending`, `fulfilled`
+ *                                                           and `rejected` action creators and `typePrefix` attached.
+ */
+export function createAsyncAction(type, payloadCreator, options = {}) {
+  if (typeof type !== 'string' || type === '') {
+    throw new Error('createAsyncAction expects `type` to be a non-empty string.')
+  }
+  if (typeof payloadCreator !== 'function') {
+    throw new Error('createAsyncAction expects the payload creator to be a function.')
+  }
+  const { condition } = options
+  if (condition !== undefined && typeof condition !== 'function') {
+    throw new Error('createAsyncAction expects `condition` to be a function.')
+  }
+
+  const pending = createLifecycleAction(`${type}/pending`, (requestId, arg) => ({
+    meta: { requestId, arg, requestStatus: 'pending' },
+  }))
+  const fulfilled = createLifecycleAction(`${type}/fulfilled`, (payload, requestId, arg) => ({
+    payload,
+    meta: { requestId, arg, requestStatus: 'fulfilled' },
+  }))
+  const rejected = createLifecycleAction(`${type}/rejected`, (error, requestId, arg, aborted = false) => ({
+    error: serializeError(error),
+    meta: { requestId, arg, requestStatus: 'rejected', aborted },
+  }))
+
+  const asyncActionCreator = (arg, callOptions = {}) => (dispatch, getState, dependencies) => {
+    const requestId = createRequestId()
+    const controller = new AbortController()
+    const abort = (reason) => controller.abort(reason)
+
+    const { signal: outerSignal } = callOptions
+    if (outerSignal) {
+      if (outerSignal.aborted) {
+        abort(outerSignal.reason)
+      } else {
+        outerSignal.addEventListener('abort', () => abort(outerSignal.reason), { once: true })
+      }
+    }
+
+    const abortedPromise = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true })
+    })
+    abortedPromise.catch(() => { }) // Only observed through the race below.
+
+    const run = async () => {
+      if (condition && condition(arg, { getState, dependencies }) === false) {
+        return undefined
+      }
+      dispatch(pending(requestId, arg))
+
+      let result
+      try {
+        if (controller.signal.aborted) {
+          throw controller.signal.reason
+        }
+        result = await Promise.race([
+          abortedPromise,
+          payloadCreator(arg, { dispatch, getState, dependencies, signal: controller.signal, requestId }),
+        ])
+      } catch (error) {
+        dispatch(rejected(error, requestId, arg, controller.signal.aborted))
+        throw error
+      }
+      // Dispatched outside the try block, so a reducer error is not reported as a rejected request.
+      dispatch(fulfilled(result, requestId, arg))
+      return result
+    }
+
+    const promise = run()
+    // The outcome is already dispatched as `rejected`, so a request aborted (or failed) without anyone awaiting it,
+    // e.g. `request.abort()` on unmount, must not surface as an unhandled rejection. Awaiting it still rejects.
+    promise.catch(() => { })
+    return Object.assign(promise, { requestId, arg, abort })
+  }
+
+  asyncActionCreator.typePrefix = type
+  asyncActionCreator.pending = pending
+  asyncActionCreator.fulfilled = fulfilled
+  asyncActionCreator.rejected = rejected
+  return asyncActionCreator
+}
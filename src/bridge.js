@@ -1,5 +1,37 @@
 import { isImmutable } from './utils/immutableUtils.js'; // Custom isImmutable
-import { state as vanState } from './utils/customVanUtils.js'; // Custom van.state
+import { state as vanState, batch, watch } from './utils/customVanUtils.js'; // Custom van.state
+
+// One store subscription per global store fans out to every bridge listener inside a single batch,
+// so a dispatch that changes several selected slices produces one round of DOM updates.
+const bridgeListeners = new WeakMap()
+
+function subscribeBatched(globalStore, listener) {
+  let entry = bridgeListeners.get(globalStore)
+  if (!entry) {
+    const listeners = new Set()
+    const unsubscribe = globalStore.subscribe(() => {
+      batch(() => [...listeners].forEach((l) => l()))
+    })
+    entry = { listeners, unsubscribe }
+    bridgeListeners.set(globalStore, entry)
+  }
+  const { listeners } = entry
+  const wrapped = () => listener()
+  listeners.add(wrapped)
+
+  return () => {
+    if (!listeners.delete(wrapped) || listeners.size > 0) return
+    entry.unsubscribe()
+    bridgeListeners.delete(globalStore)
+  }
+}
+
+function selectionEquals(a, b) {
+  if (isImmutable(a) && isImmutable(b)) {
+    return a.equals(b)
+  }
+  return a === b
+}
 
 /**
  * Attaches global store interaction methods to a scoped state's context.
@@ -14,6 +46,17 @@ export function connectToGlobalStore(scopedState, globalStore) {
     return
   }
 
+  // Every teardown created below, so disconnectGlobal() can release them all at once.
+  const teardowns = new Set()
+  const trackTeardown = (teardown) => {
+    const release = () => {
+      if (!teardowns.delete(release)) return
+      teardown()
+    }
+    teardowns.add(release)
+    return release
+  }
+
   /**
    * Retrieves a slice of the global state using a selector function.
    * @template S
@@ -59,7 +102,7 @@ export function connectToGlobalStore(scopedState, globalStore) {
 
     let lastSelectedState = selectorFn(globalStore.getState())
 
-    const unsubscribe = globalStore.subscribe(() => {
+    const unsubscribe = subscribeBatched(globalStore, () => {
       const newSelectedState = selectorFn(globalStore.getState())
 
       // Simplified change detection: if new instances are returned on change, !== works.
@@ -77,7 +120,7 @@ export function connectToGlobalStore(scopedState, globalStore) {
         callback(newSelectedState)
       }
     })
-    return unsubscribe
+    return trackTeardown(unsubscribe)
   }
 
   /**
@@ -90,6 +133,7 @@ export function connectToGlobalStore(scopedState, globalStore) {
    *                                                      if the selected state has changed.
    *                                                      Defaults to strict inequality (!==).
    * @returns {object} A VanJS-like state object (from customVanUtils) whose .val property holds the selected global data.
+   *                   Call its `dispose()` to stop following the global store.
    */
   scopedState.createGlobalStateSelector = (selectorFn, options = {}) => {
     if (typeof selectorFn !== 'function') {
@@ -102,7 +146,7 @@ export function connectToGlobalStore(scopedState, globalStore) {
 
     let lastSelectedStateForVan = initialSelectedData
 
-    globalStore.subscribe(() => {
+    const unsubscribe = subscribeBatched(globalStore, () => {
       const newSelectedState = selectorFn(globalStore.getState())
       let changed = false
       if (typeof areEqual === 'function') {
@@ -119,10 +163,85 @@ export function connectToGlobalStore(scopedState, globalStore) {
         reactiveGlobalState.val = newSelectedState
       }
     })
-    // Note on unsubscribe: As mentioned in the prompt, this basic implementation
-    // doesn't return the unsubscribe function from globalStore.subscribe.
-    // For long-lived scoped states that might be destroyed before the global store,
-    // managing this subscription would be important in a production library.
+    // Long-lived pages create and discard selectors; dispose() releases the store subscription.
+    // The last selected value stays readable.
+    reactiveGlobalState.dispose = trackTeardown(unsubscribe)
     return reactiveGlobalState
   }
+
+  /**
+   * Keeps the scoped state's `.val` in sync with a slice of the global state, in both directions.
+   * The scoped state takes the selected value right away and follows it on every store change.
+   * Local assignments to `.val` dispatch `toAction(value)`; values that came from the store
+   * (or equal the last selected value) are never dispatched back.
+   * @template S
+   * @param {function(object): S} selectorFn - Selects the linked slice from the global state (our custom Map/List).
+   * @param {function(S): object} toAction - Maps a locally assigned value to the action to dispatch.
+   * @param {object} [options] - Optional parameters.
+   * @param {number} [options.debounce=0] - Milliseconds to wait after the last local assignment before dispatching.
+   *                                        A store change that arrives meanwhile replaces the local value and
+   *                                        cancels the pending dispatch.
+   * @returns {function} An unlink function. A pending debounced dispatch is sent before unlinking.
+   */
+  scopedState.linkGlobal = (selectorFn, toAction, options = {}) => {
+    if (typeof selectorFn !== 'function') {
+      throw new Error('selectorFn must be a function for linkGlobal.')
+    }
+    if (typeof toAction !== 'function') {
+      throw new Error('toAction must be a function for linkGlobal.')
+    }
+    const { debounce = 0 } = options
+    if (typeof debounce !== 'number' || !(debounce >= 0)) {
+      throw new Error('debounce must be a non-negative number for linkGlobal.')
+    }
+
+    let lastSelectedState = selectorFn(globalStore.getState())
+    let pendingTimer = null
+    scopedState.val = lastSelectedState
+
+    const cancelPending = () => {
+      clearTimeout(pendingTimer)
+      pendingTimer = null
+    }
+    const dispatchLocal = () => {
+      cancelPending()
+      const value = scopedState._val
+      if (!selectionEquals(lastSelectedState, value)) {
+        globalStore.dispatch(toAction(value))
+      }
+    }
+
+    const unsubscribe = subscribeBatched(globalStore, () => {
+      const newSelectedState = selectorFn(globalStore.getState())
+      if (selectionEquals(lastSelectedState, newSelectedState)) return
+      lastSelectedState = newSelectedState
+      cancelPending()
+      scopedState.val = newSelectedState
+    })
+
+    // The watcher sees store-driven assignments too; they equal lastSelectedState and are skipped.
+    const watcher = watch(scopedState, (value) => {
+      if (selectionEquals(lastSelectedState, value)) return
+      if (debounce > 0) {
+        cancelPending()
+        pendingTimer = setTimeout(dispatchLocal, debounce)
+      } else {
+        dispatchLocal()
+      }
+    })
+
+    return trackTeardown(() => {
+      if (pendingTimer !== null) dispatchLocal()
+      watcher.dispose()
+      unsubscribe()
+    })
+  }
+
+  /**
+   * Tears down every subscription this scoped state created through subscribeToGlobal,
+   * createGlobalStateSelector and linkGlobal. The bridge methods stay usable afterwards.
+   */
+  scopedState.disconnectGlobal = () => {
+    [...teardowns].forEach((release) => release())
+  }
 }
@@ -1,58 +1,154 @@
-import { Map as CustomMap, List as CustomList, isImmutable } from './utils/immutableUtils.js'
+import {
+  Map as CustomMap,
+  List as CustomList,
+  Set as CustomSet,
+  OrderedMap as CustomOrderedMap,
+  isImmutable,
+} from './utils/immutableUtils.js'
 // import { createStore as reduxCreateStore } from 'redux' // Remove Redux import
-import { createStore as customCreateStore } from './utils/customReduxUtils.js' // Import custom createStore
-import { compose } from './applyMiddleware.js'
+import { createStore as customCreateStore, combineReducers } from './utils/customReduxUtils.js' // Import custom createStore
+import applyMiddleware, { compose } from './applyMiddleware.js'
+import { createThunkMiddleware } from './middleware/thunk.js'
+
+/**
+ * Checks whether a value is a plain object of slice reducers, as accepted by combineReducers.
+ * @param {any} value - The value to check.
+ * @returns {boolean} True if the value is a non-null, non-immutable object.
+ */
+function isSliceReducerMap(value) {
+  return value !== null && typeof value === 'object' && !isImmutable(value)
+}
+
+/**
+ * Normalizes the two supported call signatures of createGlobalStore into a single config object.
+ * @param {function | object} reducerOrConfig - The reducer (positional form) or the full config object.
+ * @param {Immutable.Map} [initialState] - The initial state (positional form only).
+ * @param {object} [options] - Additional options (positional form only).
+ * @returns {object} The normalized config object.
+ */
+function normalizeStoreConfig(reducerOrConfig, initialState, options) {
+  if (reducerOrConfig !== null && typeof reducerOrConfig === 'object') {
+    return reducerOrConfig
+  }
+  return { ...(options || {}), reducer: reducerOrConfig, initialState }
+}
 
 /**
  * Creates a Redux-like global store that uses Immutable.js for its state.
  * Integrates with Redux DevTools Extension if available and supports ergonomic action creators.
+ * A DI-aware thunk middleware is always installed, so `dispatch` (and `store.actions`)
+ * also accept thunks of the form `(dispatch, getState, dependencies) => ...`.
  *
- * @param {function} reducer - A reducing function that returns the next state tree.
+ * Accepts either a config object, `createGlobalStore({ reducer, initialState, middleware, dependencies, devTools })`,
+ * or the positional form `createGlobalStore(reducer, initialState, options)`, where `options`
+ * takes the same keys as the config object (minus `reducer` and `initialState`).
+ *
+ * The returned store also supports code splitting: `store.replaceReducer(nextReducer)` swaps the root reducer,
+ * while `store.injectReducer(key, reducer)` / `store.ejectReducer(key)` add or remove a single slice at runtime.
+ * Both re-run the immutability check and dispatch a REPLACE action so new slices initialize.
+ *
+ * @param {function | object} reducer - A reducing function that returns the next state tree, or the config object.
+ *                                      In the config object, `reducer` may also be an object of slice reducers,
+ *                                      which is combined with combineReducers.
  * @param {Immutable.Map} [initialState] - The initial state (Immutable.Map).
  * @param {object} [options] - Optional configuration for the store.
+ * @param {function[]} [options.middleware=[]] - Redux-compatible middleware, applied after the thunk middleware.
  * @param {function} [options.enhancer] - The store enhancer, e.g., applyMiddleware.
+ * @param {object} [options.dependencies={}] - An object of services injected as the third argument into thunks.
+ * @param {boolean} [options.devTools=true] - If false, the Redux DevTools Extension is not hooked up.
  * @param {object} [options.actions] - An object where keys are action names and values are
  *                                     action creator functions. These will be attached to
  *                                     `store.actions` and will automatically dispatch.
- *                                     An action creator should return a Redux action object ({ type, ...payload }).
+ *                                     An action creator should return a Redux action object ({ type, ...payload })
+ *                                     or a thunk, such as the ones made by createAsyncAction. `store.actions.x(...)` returns
+ *                                     whatever dispatch returns, so async actions can be awaited.
  * @returns {object} A Redux-like store object with dispatch, subscribe, getState, and an `actions` object if provided.
  */
-function createGlobalStore(reducer, initialState, options = {}) {
-  const { enhancer, actions: actionCreators } = options
+function createGlobalStore(reducerOrConfig, initialStateArg, optionsArg) {
+  const {
+    reducer,
+    initialState,
+    middleware = [],
+    enhancer,
+    actions: actionCreators,
+    dependencies = {},
+    devTools = true,
+  } = normalizeStoreConfig(reducerOrConfig, initialStateArg, optionsArg)
+
+  if (typeof reducer !== 'function' && !isSliceReducerMap(reducer)) {
+    throw new Error('Expected the reducer to be a function.')
+  }
+
+  if (!Array.isArray(middleware) || middleware.some(m => typeof m !== 'function')) {
+    throw new Error('Expected `middleware` to be an array of middleware functions.')
+  }
 
   if (initialState !== undefined && !isImmutable(initialState)) {
     throw new Error('Initial state must be an Immutable.js structure if provided.')
   }
 
-  const wrappedReducer = (state, action) => {
+  const wrapReducer = (rootReducer) => (state, action) => {
     const currentState = state === undefined && initialState !== undefined ? initialState : state
-    const newState = reducer(currentState, action)
+    const newState = rootReducer(currentState, action)
     if (!isImmutable(newState)) {
       throw new Error('Reducer must return an Immutable.js structure.')
     }
     return newState
   }
 
+  // The root reducer is the base reducer (a function, or a map of slice reducers)
+  // plus any slice reducers injected at runtime.
+  let baseReducer = reducer
+  const injectedReducers = {}
+
+  const buildRootReducer = () => {
+    if (isSliceReducerMap(baseReducer)) {
+      return combineReducers({ ...baseReducer, ...injectedReducers })
+    }
+    const injectedKeys = Object.keys(injectedReducers)
+    if (injectedKeys.length === 0) {
+      return baseReducer
+    }
+    // A plain root reducer owns the whole tree, so injected slices are layered on top of its result.
+    return (state, action) => {
+      let nextState = baseReducer(state, action)
+      for (const key of injectedKeys) {
+        const previousSlice = nextState.get(key)
+        const nextSlice = injectedReducers[key](previousSlice, action)
+        if (nextSlice !== previousSlice) {
+          nextState = nextState.set(key, nextSlice)
+        }
+      }
+      return nextState
+    }
+  }
+
   let composeEnhancers = compose
 
-  if (typeof window !== 'undefined' && window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__) {
+  if (devTools !== false && typeof window !== 'undefined' && window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__) {
     composeEnhancers = window.__REDUX_DEVTOOLS_EXTENSION_COMPOSE__({
       serialize: {
-        // Pass our custom Map and List constructors to the DevTools
+        // Pass our custom collection constructors to the DevTools
         immutable: {
           Map: CustomMap,
           List: CustomList,
+          Set: CustomSet,
+          OrderedMap: CustomOrderedMap,
         },
         replacer: (key, value) => (isImmutable(value) ? value.toJS() : value),
       }
     })
   }
 
+  // The thunk middleware comes first so thunks are resolved before any user middleware sees them.
+  const middlewareEnhancer = applyMiddleware(createThunkMiddleware(dependencies), ...middleware)
+  const storeEnhancer = enhancer ? compose(middlewareEnhancer, enhancer) : middlewareEnhancer
+
   // Use the custom createStore function
   const store = customCreateStore(
-    wrappedReducer,
+    wrapReducer(buildRootReducer()),
     initialState,
-    enhancer ? composeEnhancers(enhancer) : composeEnhancers()
+    composeEnhancers(storeEnhancer)
   )
 
   const finalStore = {
@@ -64,6 +160,47 @@ function createGlobalStore(reducer, initialState, options = {}) {
       // Assuming root state is object-like, similar to original ImmutableMap(state).
       return isImmutable(state) ? state : fromJS(state)
     },
+    /**
+     * Replaces the base reducer (a function or a map of slice reducers). Injected slices are kept.
+     * @param {function | object} nextReducer - The new root reducer.
+     */
+    replaceReducer: (nextReducer) => {
+      if (typeof nextReducer !== 'function' && !isSliceReducerMap(nextReducer)) {
+        throw new Error('Expected the nextReducer to be a function.')
+      }
+      baseReducer = nextReducer
+      store.replaceReducer(wrapReducer(buildRootReducer()))
+    },
+    /**
+     * Adds a slice reducer under `key` and initializes its slice.
+     * @param {string} key - The state key managed by the reducer.
+     * @param {function} sliceReducer - The slice reducer.
+     */
+    injectReducer: (key, sliceReducer) => {
+      if (typeof key !== 'string' || key === '') {
+        throw new Error('Expected the key to be a non-empty string.')
+      }
+      if (typeof sliceReducer !== 'function') {
+        throw new Error('Expected the reducer to be a function.')
+      }
+      if (injectedReducers[key] === sliceReducer) {
+        return
+      }
+      injectedReducers[key] = sliceReducer
+      store.replaceReducer(wrapReducer(buildRootReducer()))
+    },
+    /**
+     * Removes a slice reducer previously added with injectReducer.
+     * When the base reducer is a map of slice reducers, the slice's state is dropped as well.
+     * @param {string} key - The state key whose reducer should be removed.
+     */
+    ejectReducer: (key) => {
+      if (!Object.prototype.hasOwnProperty.call(injectedReducers, key)) {
+        return
+      }
+      delete injectedReducers[key]
+      store.replaceReducer(wrapReducer(buildRootReducer()))
+    },
     actions: {} // Initialize actions object
   }
 
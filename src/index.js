@@ -1,20 +1,34 @@
 // Global Store
 export { createGlobalStore } from './globalStore.js'
+export { combineReducers } from './utils/customReduxUtils.js'
+export { createAsyncAction } from './asyncAction.js'
+export { createSlice } from './slice.js'
+
+// Selectors
+export { createSelector, immutableEquals } from './utils/customReselectUtils.js'
 
 // Scoped State
 export { createScopedState, deriveScopedState } from './scopedState.js'
+export { batch, transaction, effect, watch, onCleanup } from './utils/customVanUtils.js'
 
 // Immutability Utilities
 // Exporting the namespace and specific functions for convenience
 export { fromJS, Immutable, isImmutable } from './utils/immutableUtils.js'
 // Users can also access specific Immutable types like Map, List via the Immutable namespace:
-// import { Immutable } from 'my-library'; const myMap = Immutable.Map();
+// import { Immutable } from 'my-library'; const myMap = new Immutable.Map();
 import applyMiddleware from "./applyMiddleware.js"
 export { applyMiddleware }
 
+// Thunk Middleware
+export { default as thunkMiddleware, createThunkMiddleware } from './middleware/thunk.js'
+
 // Persistence Utilities
-export { persistStateMiddleware, rehydrateState } from './middleware/persistState.js'
+export { persistStateMiddleware, rehydrateState, rehydrateStateAsync } from './middleware/persistState.js'
 export { default as localStorageAdapter } from './persistence/localStorageAdapter.js'
+// The file-system adapter imports node:fs, so Node code imports it from its own entry point:
+// import createFileSystemAdapter from 'stateman-cli/persistence/fileSystemAdapter';
+export { default as createIndexedDBAdapter } from './persistence/indexedDBAdapter.js'
+export { jsonCodec, taggedCodec } from './persistence/codecs.js'
 
 // DOM Binding Utilities
 export * from './utils/domBinding.js'
@@ -1,53 +1,252 @@
 import { fromJS, isImmutable } from "../utils/immutableUtils.js"; // Use custom utils
+import { jsonCodec } from "../persistence/codecs.js";
 
 /**
  * Debounces a function.
  * @param {function} func - The function to debounce.
  * @param {number} wait - The debounce delay in milliseconds.
- * @returns {function} The debounced function.
+ * @returns {function} The debounced function, with a `flush()` method that runs a pending call right away.
  */
 function debounce(func, wait) {
   let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout); // Ensure this line is present
-      func(...args);
-    };
+  let pendingArgs = null;
+  function executedFunction(...args) {
+    clearTimeout(timeout);
+    pendingArgs = args;
+    timeout = setTimeout(executedFunction.flush, wait);
+  }
+  executedFunction.flush = () => {
     clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
+    if (pendingArgs === null) {
+      return;
+    }
+    const args = pendingArgs;
+    pendingArgs = null;
+    func(...args);
   };
+  return executedFunction;
+}
+
+/**
+ * Checks whether a value is a Promise or another thenable.
+ * @param {any} value - The value to check.
+ * @returns {boolean} True if the value has a `then` method.
+ */
+function isThenable(value) {
+  return (
+    value !== null &&
+    (typeof value === "object" || typeof value === "function") &&
+    typeof value.then === "function"
+  );
+}
+
+/**
+ * Hands a storage error to the `onError` hook, or logs it when there is none.
+ * A hook that throws is logged too, so it cannot break the save queue or the caller.
+ * @param {function} [onError] - The configured error hook.
+ * @param {Error} error - The error.
+ * @param {{ key: string, operation: string }} context - Where the error happened.
+ * @param {string} message - The console message used without a hook.
+ */
+function reportError(onError, error, context, message) {
+  if (onError) {
+    try {
+      onError(error, context);
+    } catch (hookError) {
+      console.error("The persistence onError hook threw:", hookError, "while handling:", error);
+    }
+  } else {
+    console.error(message, error);
+  }
+}
+
+/**
+ * Checks that a codec has encode and decode functions.
+ * @param {any} codec - The configured codec.
+ * @param {string} owner - Names the caller in the error message.
+ */
+function validateCodec(codec, owner) {
+  if (
+    codec === null ||
+    typeof codec !== "object" ||
+    typeof codec.encode !== "function" ||
+    typeof codec.decode !== "function"
+  ) {
+    throw new Error(`${owner} expects \`codec\` to have encode and decode functions.`);
+  }
+}
+
+/**
+ * Whether an adapter stores strings, so payloads need the serializer/deserializer text step.
+ * Adapters that do not declare `storesStrings` are treated as string stores.
+ * @param {object} adapter - The storage adapter.
+ * @returns {boolean} False only for adapters declaring `storesStrings: false`.
+ */
+function storesStrings(adapter) {
+  return adapter.storesStrings !== false;
+}
+
+/**
+ * Checks that an `onError` hook is a function (or not given).
+ * @param {any} onError - The configured hook.
+ * @param {string} owner - Names the caller in the error message.
+ */
+function validateOnError(onError, owner) {
+  if (onError !== undefined && typeof onError !== "function") {
+    throw new Error(`${owner} expects \`onError\` to be a function.`);
+  }
+}
+
+/**
+ * Checks that a persistence version is a non-negative integer (or not given).
+ * @param {any} version - The configured version.
+ * @param {string} owner - Names the caller in the error message.
+ */
+function validateVersion(version, owner) {
+  if (version !== undefined && !(Number.isInteger(version) && version >= 0)) {
+    throw new Error(`${owner} expects \`version\` to be a non-negative integer.`);
+  }
+}
+
+/**
+ * Wraps the state to persist together with its version.
+ * @param {any} state - The plain JS state.
+ * @param {number} version - The current version.
+ * @returns {{ _persist: { version: number }, state: any }} The versioned payload.
+ */
+function wrapVersioned(state, version) {
+  return { _persist: { version }, state };
+}
+
+/**
+ * Splits a deserialized payload into its version and state.
+ * Payloads written without a version count as version 0.
+ * @param {any} payload - The deserialized payload.
+ * @returns {{ version: number, state: any }} The stored version and state.
+ */
+function unwrapVersioned(payload) {
+  if (
+    payload !== null &&
+    typeof payload === "object" &&
+    payload._persist !== null &&
+    typeof payload._persist === "object" &&
+    Number.isInteger(payload._persist.version) &&
+    "state" in payload
+  ) {
+    return { version: payload._persist.version, state: payload.state };
+  }
+  return { version: 0, state: payload };
+}
+
+/**
+ * Runs the migrations for every version after `fromVersion` up to and including `toVersion`, in ascending order.
+ * @param {any} state - The plain JS state as stored.
+ * @param {number} fromVersion - The stored version.
+ * @param {number} toVersion - The current version.
+ * @param {Object<string, function(any): any>} migrations - Migrations keyed by the version they upgrade to.
+ * @returns {any} The migrated state.
+ */
+function migrate(state, fromVersion, toVersion, migrations) {
+  return Object.keys(migrations)
+    .map(Number)
+    .filter((version) => version > fromVersion && version <= toVersion)
+    .sort((a, b) => a - b)
+    .reduce((migratedState, version) => migrations[version](migratedState), state);
 }
 
 /**
  * Creates a middleware for persisting parts of the global store's state.
  *
+ * Async adapters are supported: while a `setItem` Promise is pending, newer saves wait for it and only the latest
+ * state is written next, so writes never overlap or land out of order.
+ *
+ * Saving runs in two steps: the codec encodes the selected state into plain data, then, for adapters that store
+ * strings, the serializer turns that data into text. Adapters declaring `storesStrings: false` (e.g. IndexedDB)
+ * receive the encoded data itself.
+ *
  * @param {object} config - Configuration object.
  * @param {string} config.key - The storage key.
  * @param {object} config.adapter - A storage adapter (e.g., localStorageAdapter).
  * @param {function(state: Immutable.Map): object} [config.selector=(state) => state] - Function to select the part of the state to persist.
  *                                                                                  Should return a plain JS object or an Immutable structure.
- * @param {function(selectedState: object): string} [config.serializer=JSON.stringify] - Function to serialize the selected state.
- * @param {function(persistedString: string): object} [config.deserializer=JSON.parse] - Function to deserialize the persisted string.
+ * @param {{ encode: function(any): any, decode: function(any): any }} [config.codec=jsonCodec] - Encodes the selected
+ *                                    state into plain data. Use `taggedCodec` to keep Map vs List vs Set, Dates and
+ *                                    undefined; rehydrate with the same codec.
+ * @param {function(encodedState: object): string} [config.serializer=JSON.stringify] - Turns the encoded payload into
+ *                                    the string stored by adapters that store strings.
  * @param {number} [config.throttleWait=1000] - Time in ms to throttle/debounce save operations.
+ * @param {number} [config.version] - The version of the persisted state shape. When given, the state is stored as
+ *                                    `{ _persist: { version }, state }` so rehydrateState can migrate it.
+ * @param {function(error: Error, context: { key: string, operation: "save" }): void} [config.onError] - Called when
+ *                                    selecting, serializing or writing the state fails, including rejected async
+ *                                    `setItem` calls. Errors are logged to the console when omitted.
  *
- * @returns {function} The persistence middleware.
+ * @returns {function} The persistence middleware. Its `flush()` method runs a pending debounced save right away and
+ *                     returns a Promise that resolves once every queued write has settled.
  */
 export function persistStateMiddleware({
   key,
   adapter,
   selector = (state) => state,
   serializer = JSON.stringify,
+  codec = jsonCodec,
   throttleWait = 1000, // Default throttle to 1 second
+  version,
+  onError,
 }) {
   if (!key || !adapter) {
     throw new Error(
       "Persistence middleware requires `key` and `adapter` in config.",
     );
   }
+  validateVersion(version, "Persistence middleware");
+  validateCodec(codec, "Persistence middleware");
+  validateOnError(onError, "Persistence middleware");
 
   // This reference will be set once the store is available.
   let currentStore = null;
 
+  const reportSaveError = (error) =>
+    reportError(onError, error, { key, operation: "save" }, "Error saving state to adapter:");
+
+  // The pending async write, if any, and the latest data waiting for it to settle.
+  let writeInFlight = null;
+  let queuedData;
+  let hasQueuedData = false;
+
+  const write = (data) => {
+    let result;
+    try {
+      result = adapter.setItem(key, data);
+    } catch (error) {
+      reportSaveError(error);
+      return;
+    }
+    if (!isThenable(result)) {
+      return;
+    }
+    writeInFlight = Promise.resolve(result)
+      .catch(reportSaveError)
+      .finally(() => {
+        writeInFlight = null;
+        if (hasQueuedData) {
+          const nextData = queuedData;
+          queuedData = undefined;
+          hasQueuedData = false;
+          write(nextData);
+        }
+      });
+  };
+
+  const enqueueWrite = (data) => {
+    if (writeInFlight) {
+      queuedData = data; // Older queued data is obsolete.
+      hasQueuedData = true;
+      return;
+    }
+    write(data);
+  };
+
   const performSave = () => {
     if (!currentStore) {
       console.warn(
@@ -57,20 +256,21 @@ export function persistStateMiddleware({
     }
     const stateToSave = currentStore.getState();
     try {
-      const selectedState = selector(stateToSave);
-      const serializableState = isImmutable(selectedState)
-        ? selectedState.toJS()
-        : selectedState;
-      adapter.setItem(key, serializer(serializableState));
+      const encodedState = codec.encode(selector(stateToSave));
+      const payload =
+        version === undefined
+          ? encodedState
+          : wrapVersioned(encodedState, version);
+      enqueueWrite(storesStrings(adapter) ? serializer(payload) : payload);
     } catch (error) {
-      console.error("Error saving state to adapter:", error);
+      reportSaveError(error);
     }
   };
 
   const debouncedPerformSave =
     throttleWait > 0 ? debounce(performSave, throttleWait) : performSave; // If no wait time, execute directly
 
-  return (store) => {
+  const middleware = (store) => {
     currentStore = store; // Capture the store reference.
     return (next) => (action) => {
       const result = next(action);
@@ -79,34 +279,177 @@ export function persistStateMiddleware({
       return result;
     };
   };
+
+  middleware.flush = async () => {
+    if (debouncedPerformSave.flush) {
+      debouncedPerformSave.flush();
+    }
+    while (writeInFlight) {
+      await writeInFlight;
+    }
+  };
+
+  return middleware;
+}
+
+/**
+ * Validates a rehydration config and fills in its defaults.
+ * @param {object} config - The config passed to rehydrateState or rehydrateStateAsync.
+ * @param {string} owner - Names the caller in error messages.
+ * @returns {object} The normalized config.
+ */
+function normalizeRehydrateConfig(
+  {
+    key,
+    adapter,
+    deserializer = JSON.parse,
+    codec = jsonCodec,
+    reviver,
+    version,
+    migrations = {},
+    onNewerVersion,
+    onError,
+  },
+  owner,
+) {
+  validateVersion(version, owner);
+  validateCodec(codec, owner);
+  if (
+    migrations === null ||
+    typeof migrations !== "object" ||
+    Object.values(migrations).some((migration) => typeof migration !== "function")
+  ) {
+    throw new Error(`${owner} expects \`migrations\` to be an object of functions.`);
+  }
+  validateOnError(onError, owner);
+  return { key, adapter, deserializer, codec, reviver, version, migrations, onNewerVersion, onError };
+}
+
+/**
+ * Deserializes what an adapter that stores strings returned.
+ * Before codecs, localStorageAdapter stringified the already-serialized payload again, so older data parses to a
+ * string; that string is parsed once more.
+ * @param {string} persisted - The stored string.
+ * @param {function(string): any} deserializer - The configured deserializer.
+ * @returns {any} The stored payload.
+ */
+function deserializeStored(persisted, deserializer) {
+  const payload = deserializer(persisted);
+  return typeof payload === "string" ? deserializer(payload) : payload;
+}
+
+/**
+ * Turns what the adapter returned into the rehydrated state: deserializes, decodes, migrates and converts it.
+ * @param {any} persisted - The value read from the adapter.
+ * @param {object} config - The normalized rehydration config.
+ * @returns {Map | List | undefined} The rehydrated state, or undefined if nothing usable was stored.
+ */
+function restorePersistedState(
+  persisted,
+  { adapter, deserializer, codec, reviver, version, migrations, onNewerVersion },
+) {
+  if (persisted === undefined || persisted === null) {
+    return undefined;
+  }
+  const stored = unwrapVersioned(storesStrings(adapter) ? deserializeStored(persisted, deserializer) : persisted);
+  let plainJSState = codec.decode(stored.state);
+  if (version !== undefined && stored.version > version) {
+    if (typeof onNewerVersion !== "function") {
+      console.warn(
+        `Persisted state version ${stored.version} is newer than ${version}; falling back to the initial state.`,
+      );
+      return undefined;
+    }
+    plainJSState = onNewerVersion(plainJSState, stored.version);
+  } else if (version !== undefined && stored.version < version) {
+    plainJSState = migrate(plainJSState, stored.version, version, migrations);
+  }
+  if (!plainJSState) {
+    return undefined;
+  }
+  // The tagged codec already decodes to custom collections; plain data is converted here.
+  return isImmutable(plainJSState) ? plainJSState : fromJS(plainJSState, reviver);
 }
 
 /**
  * Rehydrates the state from the storage adapter.
  * This should be called before creating the store to augment the initial state.
+ * The adapter's getItem must be synchronous; use rehydrateStateAsync for Promise-based adapters.
  *
  * @param {object} config - Configuration object.
  * @param {string} config.key - The storage key.
  * @param {object} config.adapter - A storage adapter.
- * @param {function(persistedString: string): object} [config.deserializer=JSON.parse] - Function to deserialize.
+ * @param {function(persistedString: string): object} [config.deserializer=JSON.parse] - Parses what adapters that store
+ *                                    strings return. Not used for adapters declaring `storesStrings: false`.
+ * @param {{ encode: function(any): any, decode: function(any): any }} [config.codec=jsonCodec] - The codec the state was
+ *                                    persisted with. Migrations receive the decoded state.
+ * @param {function(key: string|number, collection: any, path: Array): any} [config.reviver] - Passed to fromJS to restore
+ *                                                                     types that JSON cannot express, e.g.
+ *                                                                     `(key, value) => key === "tags" ? value.toSet() : value`.
+ * @param {number} [config.version] - The current version of the state shape (as passed to persistStateMiddleware).
+ *                                    Older payloads are migrated; payloads written without a version count as version 0.
+ * @param {Object<string, function(state: object): object>} [config.migrations={}] - Migrations keyed by the version they
+ *                                    upgrade to. Each receives the decoded state of the previous version (plain JS with
+ *                                    the default codec) and returns the next one; they run in ascending order, e.g.
+ *                                    stored version 1 with `version: 3` runs `migrations[2]` then `migrations[3]`.
+ * @param {function(state: object, storedVersion: number): object} [config.onNewerVersion] - Called when the stored version
+ *                                    is newer than `version` (e.g. after a rollback). Return the decoded state to use, or
+ *                                    undefined to fall back to the store's initial state, which is the default behavior.
+ * @param {function(error: Error, context: { key: string, operation: "rehydrate" }): void} [config.onError] - Called when
+ *                                    reading, deserializing or migrating fails. Errors are logged to the console when omitted.
  * @returns {Map | List | undefined} The rehydrated state slice (as a custom Map/List), or undefined if not found/error.
  */
-export function rehydrateState({ key, adapter, deserializer = JSON.parse }) {
-  if (!key || !adapter) {
+export function rehydrateState(config) {
+  if (!config.key || !config.adapter) {
     // console.warn("Rehydration requires `key` and `adapter`."); // This is not a [Debug persistState] log
     console.warn("Rehydration requires `key` and `adapter`.");
     return undefined;
   }
+  const normalized = normalizeRehydrateConfig(config, "rehydrateState");
   try {
-    const persistedString = adapter.getItem(key);
-    if (persistedString === undefined || persistedString === null) {
-      return undefined;
+    const persisted = normalized.adapter.getItem(normalized.key);
+    if (isThenable(persisted)) {
+      persisted.then(undefined, () => {}); // The value is not used, so neither is a rejection.
+      throw new Error(
+        "The storage adapter returned a Promise from getItem. Use rehydrateStateAsync with async adapters.",
+      );
     }
-    const plainJSState = deserializer(persistedString);
-    return plainJSState ? fromJS(plainJSState) : undefined;
+    return restorePersistedState(persisted, normalized);
   } catch (error) {
-    // console.error("Error rehydrating state from adapter:", error); // This is not a [Debug persistState] log
-    console.error("Error rehydrating state from adapter:", error);
+    reportError(
+      normalized.onError,
+      error,
+      { key: normalized.key, operation: "rehydrate" },
+      "Error rehydrating state from adapter:",
+    );
+    return undefined;
+  }
+}
+
+/**
+ * Rehydrates the state from a storage adapter whose getItem may return a Promise (e.g. IndexedDB or file storage).
+ * Takes the same config as rehydrateState. Await it before creating the store:
+ * `createGlobalStore(reducer, (await rehydrateStateAsync(config)) ?? initialState, options)`.
+ *
+ * @param {object} config - Configuration object, as for rehydrateState.
+ * @returns {Promise<Map | List | undefined>} Resolves with the rehydrated state slice, or undefined if not found/error.
+ */
+export async function rehydrateStateAsync(config) {
+  if (!config.key || !config.adapter) {
+    console.warn("Rehydration requires `key` and `adapter`.");
+    return undefined;
+  }
+  const normalized = normalizeRehydrateConfig(config, "rehydrateStateAsync");
+  try {
+    const persisted = await normalized.adapter.getItem(normalized.key);
+    return restorePersistedState(persisted, normalized);
+  } catch (error) {
+    reportError(
+      normalized.onError,
+      error,
+      { key: normalized.key, operation: "rehydrate" },
+      "Error rehydrating state from adapter:",
+    );
     return undefined;
   }
 }
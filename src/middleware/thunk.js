@@ -0,0 +1,34 @@
+/**
+ * @file DI-aware thunk middleware.
+ * Lets `dispatch` accept functions ("thunks") in addition to plain action objects.
+ * A thunk is invoked as `thunk(dispatch, getState, dependencies)`, which keeps async
+ * logic decoupled from the concrete services it uses and easy to test with stubs.
+ */
+
+/**
+ * Creates a thunk middleware that injects the given dependencies object
+ * as the third argument of every thunk it executes.
+ *
+ * @param {object} [dependencies={}] - Services made available to thunks (API clients, loggers, ...).
+ * @returns {function} The thunk middleware.
+ */
+export function createThunkMiddleware(dependencies = {}) {
+  return ({ dispatch, getState }) =>
+    (next) =>
+    (action) => {
+      if (typeof action === "function") {
+        // The thunk's return value (often a Promise) is handed back to the caller of dispatch.
+        return action(dispatch, getState, dependencies);
+      }
+      return next(action);
+    };
+}
+
+/**
+ * A thunk middleware without injected dependencies.
+ * Use `thunk.withDependencies(deps)` (or `createThunkMiddleware`) to provide them.
+ */
+const thunk = createThunkMiddleware();
+thunk.withDependencies = createThunkMiddleware;
+
+export default thunk;
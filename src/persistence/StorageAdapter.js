@@ -2,11 +2,17 @@
  * @file Defines the interface for a StorageAdapter.
  * In JavaScript, this is more of a conceptual interface defined by its expected methods.
  * A StorageAdapter is responsible for getting, setting, and removing items from a storage medium.
+ * Promise-based adapters work with persistStateMiddleware as-is; rehydrate their state with rehydrateStateAsync.
  */
 
 /**
  * @interface StorageAdapter
  *
+ * @property {boolean} [storesStrings=true] - Whether the storage holds strings (localStorage, files) or arbitrary
+ *                                            values (IndexedDB). persistStateMiddleware serializes payloads to text
+ *                                            only for string stores, and rehydrateState parses only what they return.
+ *                                            Adapters that leave it out are treated as string stores.
+ *
  * @method getItem
  * @param {string} key - The key of the item to retrieve.
  * @returns {Promise<any> | any} The item from storage, or null/undefined if not found. Can be Promise-based.
@@ -0,0 +1,130 @@
+/**
+ * @file Codecs used by persistStateMiddleware and rehydrateState.
+ * A codec turns the selected state into plain data before it is stored (`encode`) and turns stored data back into
+ * state (`decode`). Turning that data into text is a separate step, which happens only for adapters that store
+ * strings (see `storesStrings` in StorageAdapter.js).
+ */
+import {
+  isImmutable,
+  List,
+  Map,
+  OrderedMap,
+  Record,
+  Set,
+} from "../utils/immutableUtils.js";
+
+// The immutable Map and Set shadow the built-ins in this module.
+const NativeMap = globalThis.Map;
+const NativeSet = globalThis.Set;
+
+const TAG = "~t";
+
+/**
+ * The default codec: immutable collections become plain objects and arrays via toJS, and decoding is a no-op
+ * (rehydrateState converts the plain data back with fromJS). The plain data can be JSON-stringified, so Sets come
+ * back as Lists and OrderedMaps as Maps unless a `reviver` restores them, and Dates and undefined are not kept.
+ */
+export const jsonCodec = Object.freeze({
+  name: "json",
+  encode: (state) => (isImmutable(state) ? state.toJS() : state),
+  decode: (data) => data,
+});
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function encodeTagged(value) {
+  if (value === undefined) {
+    return { [TAG]: "undefined" };
+  }
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    return { [TAG]: "Number", v: String(value) };
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Date) {
+    const time = value.getTime();
+    return { [TAG]: "Date", v: Number.isNaN(time) ? null : time };
+  }
+  // OrderedMap extends Map, so it is checked first. Records have no registry to come back through, so they
+  // are stored as Maps of their values.
+  if (value instanceof OrderedMap || value instanceof NativeMap) {
+    return { [TAG]: "OrderedMap", v: Array.from(value.entries(), ([k, v]) => [k, encodeTagged(v)]) };
+  }
+  if (value instanceof Map || Record.isRecord(value)) {
+    return { [TAG]: "Map", v: Array.from(value.entries(), ([k, v]) => [k, encodeTagged(v)]) };
+  }
+  if (value instanceof List || Array.isArray(value)) {
+    const values = Array.from(value, encodeTagged);
+    return value instanceof List ? { [TAG]: "List", v: values } : values;
+  }
+  if (value instanceof Set || value instanceof NativeSet) {
+    return { [TAG]: "Set", v: Array.from(value, encodeTagged) };
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).map(([k, v]) => [k, encodeTagged(v)]);
+    // A plain object that uses the tag key itself is stored as tagged entries, so it cannot be mistaken for a tag.
+    if (Object.prototype.hasOwnProperty.call(value, TAG)) {
+      return { [TAG]: "Object", v: entries };
+    }
+    return Object.fromEntries(entries);
+  }
+  throw new TypeError(
+    `The tagged codec cannot encode a ${value.constructor ? value.constructor.name : "object"}.`,
+  );
+}
+
+function decodeEntries(entries, initial) {
+  return entries.reduce((collection, [k, v]) => collection.set(k, decodeTagged(v)), initial);
+}
+
+function decodeTagged(data) {
+  if (data === null || typeof data !== "object") {
+    return data;
+  }
+  if (Array.isArray(data)) {
+    return data.map(decodeTagged);
+  }
+  if (!Object.prototype.hasOwnProperty.call(data, TAG)) {
+    const object = {};
+    for (const [k, v] of Object.entries(data)) {
+      object[k] = decodeTagged(v);
+    }
+    return object;
+  }
+  switch (data[TAG]) {
+    case "undefined":
+      return undefined;
+    case "Number":
+      return Number(data.v);
+    case "Date":
+      return new Date(data.v === null ? NaN : data.v);
+    case "Map":
+      return decodeEntries(data.v, new Map());
+    case "OrderedMap":
+      return decodeEntries(data.v, new OrderedMap());
+    case "List":
+      return new List(data.v.map(decodeTagged));
+    case "Set":
+      return new Set(data.v.map(decodeTagged));
+    case "Object":
+      return Object.fromEntries(data.v.map(([k, v]) => [k, decodeTagged(v)]));
+    default:
+      throw new TypeError(`Unknown tag "${data[TAG]}" in tagged persisted data.`);
+  }
+}
+
+/**
+ * A codec that keeps what JSON loses: Map vs OrderedMap vs List vs Set, Dates, undefined and non-finite numbers.
+ * Collections are stored as `{ "~t": "List", v: [...] }`-style objects, which are still valid JSON, and decode
+ * straight back to the custom collections (native Maps and Sets decode as OrderedMap and Set, as with fromJS).
+ * Records are stored as Maps.
+ */
+export const taggedCodec = Object.freeze({
+  name: "tagged",
+  encode: encodeTagged,
+  decode: decodeTagged,
+});
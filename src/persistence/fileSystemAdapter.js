@@ -0,0 +1,181 @@
+/**
+ * @file Implements an async StorageAdapter for Node that keeps each key in its own file.
+ * Writes go to a temporary file that is renamed over the target, so readers never see a partial file,
+ * and a lock file per key keeps concurrent writers (other processes included) from interleaving.
+ * This module imports node:fs, so it is not part of the browser entry point (src/index.js); Node code imports it
+ * from `stateman-cli/persistence/fileSystemAdapter`.
+ */
+import { mkdir, open, readFile, rename, rm, stat } from "node:fs/promises";
+import path from "node:path";
+
+const DATA_EXTENSION = ".state";
+const LOCK_EXTENSION = ".lock";
+
+/**
+ * Turns a storage key into a safe file name. Every key maps to a distinct name inside the directory.
+ * @param {string} key - The storage key.
+ * @returns {string} The file name.
+ */
+function keyToFileName(key) {
+  const encoded = encodeURIComponent(key).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+  return `${encoded}${DATA_EXTENSION}`;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates a file-system StorageAdapter.
+ * Values are strings (what persistStateMiddleware's default JSON serializer produces); other values are rejected.
+ *
+ * @param {object} [options] - Adapter options.
+ * @param {string} [options.directory=".depstate"] - Directory holding the per-key files, created on first write.
+ *                                                   Relative paths resolve against the current working directory.
+ * @param {number} [options.lockTimeout=5000] - How long a write waits for another writer's lock, in ms.
+ * @param {number} [options.staleLockAge=30000] - Age in ms after which a lock file is considered abandoned
+ *                                                (e.g. its process crashed) and is removed.
+ * @returns {{ getItem: function(string): Promise<string|undefined>, setItem: function(string, string): Promise<void>,
+ *            removeItem: function(string): Promise<void>, directory: string, storesStrings: true }} The adapter.
+ */
+export default function createFileSystemAdapter({
+  directory = ".depstate",
+  lockTimeout = 5000,
+  staleLockAge = 30000,
+} = {}) {
+  if (typeof directory !== "string" || directory === "") {
+    throw new Error("createFileSystemAdapter expects `directory` to be a non-empty string.");
+  }
+  const resolvedDirectory = path.resolve(directory);
+  const filePathFor = (key) => path.join(resolvedDirectory, keyToFileName(String(key)));
+  // The last queued operation per file. Operations from this process run in call order; the lock file only
+  // orders them against other processes.
+  const queues = new Map();
+
+  /**
+   * Runs `operation` after every earlier operation on the same file, while holding the file's lock.
+   * @param {string} filePath - The data file the lock protects.
+   * @param {function(): Promise<void>} operation - The write to perform.
+   * @returns {Promise<void>}
+   */
+  const enqueue = (filePath, operation) => {
+    const previous = queues.get(filePath) || Promise.resolve();
+    const current = previous.then(() => withLock(filePath, operation));
+    const settled = current.catch(() => {}); // A failed write must not block the ones after it.
+    queues.set(filePath, settled);
+    settled.then(() => {
+      if (queues.get(filePath) === settled) {
+        queues.delete(filePath);
+      }
+    });
+    return current;
+  };
+
+  /**
+   * Runs `operation` while holding the key's lock file, creating the directory first if needed.
+   * @param {string} filePath - The data file the lock protects.
+   * @param {function(): Promise<void>} operation - The write to perform.
+   * @returns {Promise<void>}
+   */
+  const withLock = async (filePath, operation) => {
+    await mkdir(resolvedDirectory, { recursive: true });
+    const lockPath = `${filePath}${LOCK_EXTENSION}`;
+    const deadline = Date.now() + lockTimeout;
+    let lockHandle;
+    while (!lockHandle) {
+      try {
+        lockHandle = await open(lockPath, "wx");
+      } catch (error) {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+        const lockStats = await stat(lockPath).catch(() => null);
+        if (lockStats && Date.now() - lockStats.mtimeMs > staleLockAge) {
+          await rm(lockPath, { force: true });
+          continue;
+        }
+        if (Date.now() >= deadline) {
+          throw new Error(`Timed out waiting for the lock on ${lockPath}.`);
+        }
+        await delay(10);
+      }
+    }
+    try {
+      await operation();
+    } finally {
+      await lockHandle.close();
+      await rm(lockPath, { force: true });
+    }
+  };
+
+  return {
+    directory: resolvedDirectory,
+
+    /**
+     * Files hold strings, so the persistence middleware serializes payloads before setItem.
+     * @type {boolean}
+     */
+    storesStrings: true,
+
+    /**
+     * Reads an item's file.
+     * @param {string} key - The key of the item.
+     * @returns {Promise<string | undefined>} The stored string, or undefined if the key has no file.
+     */
+    getItem: async (key) => {
+      try {
+        return await readFile(filePathFor(key), "utf8");
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return undefined;
+        }
+        throw error;
+      }
+    },
+
+    /**
+     * Writes an item atomically: the data goes to a temporary file, is flushed to disk and renamed into place.
+     * Writes and removals of the same key made by this adapter complete in call order.
+     * @param {string} key - The key of the item.
+     * @param {string} value - The serialized value.
+     * @returns {Promise<void>} Resolves once the file is in place.
+     */
+    setItem: async (key, value) => {
+      if (typeof value !== "string") {
+        throw new TypeError(
+          "The file-system adapter stores strings. Serialize the value first (persistStateMiddleware does by default).",
+        );
+      }
+      const filePath = filePathFor(key);
+      await enqueue(filePath, async () => {
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        const tempHandle = await open(tempPath, "wx");
+        try {
+          try {
+            await tempHandle.writeFile(value, "utf8");
+            await tempHandle.sync();
+          } finally {
+            await tempHandle.close();
+          }
+          await rename(tempPath, filePath);
+        } catch (error) {
+          await rm(tempPath, { force: true });
+          throw error;
+        }
+      });
+    },
+
+    /**
+     * Deletes an item's file. Missing files are ignored.
+     * @param {string} key - The key of the item.
+     * @returns {Promise<void>}
+     */
+    removeItem: async (key) => {
+      const filePath = filePathFor(key);
+      await enqueue(filePath, () => rm(filePath, { force: true }));
+    },
+  };
+}
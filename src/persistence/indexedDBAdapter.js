@@ -0,0 +1,152 @@
+/**
+ * @file Implements an async StorageAdapter backed by IndexedDB.
+ * Values are stored with the structured clone algorithm, so plain objects, arrays, Dates, native Maps/Sets
+ * and typed arrays are kept as-is instead of being forced through JSON. Use it with
+ * persistStateMiddleware and rehydrateStateAsync, which skip their string serialization step for it.
+ */
+
+/**
+ * Settles with the result of an IDBRequest.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<any>} Resolves with `request.result`, rejects with `request.error`.
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates a StorageAdapter that keeps each key as one record of an IndexedDB object store.
+ * The database is opened on first use. If it exists without the object store, it is upgraded to add it.
+ * Every method returns a Promise that rejects when IndexedDB is unavailable, the operation fails or adding the
+ * object store is blocked by another open connection, so persistStateMiddleware's `onError` hook sees the error.
+ *
+ * @param {object} [options] - Adapter options.
+ * @param {string} [options.databaseName="depstate"] - Name of the IndexedDB database.
+ * @param {string} [options.storeName="keyval"] - Name of the object store inside it.
+ * @param {IDBFactory} [options.indexedDB=globalThis.indexedDB] - The IndexedDB implementation, e.g. an in-memory one in tests.
+ * @returns {{ storesStrings: false, getItem: function(string): Promise<any>, setItem: function(string, any): Promise<void>,
+ *            removeItem: function(string): Promise<void>, close: function(): Promise<void> }} The adapter.
+ */
+export default function createIndexedDBAdapter({
+  databaseName = "depstate",
+  storeName = "keyval",
+  indexedDB = globalThis.indexedDB,
+} = {}) {
+  if (typeof databaseName !== "string" || databaseName === "") {
+    throw new Error("createIndexedDBAdapter expects `databaseName` to be a non-empty string.");
+  }
+  if (typeof storeName !== "string" || storeName === "") {
+    throw new Error("createIndexedDBAdapter expects `storeName` to be a non-empty string.");
+  }
+
+  let databasePromise = null;
+
+  const openDatabase = async (version) => {
+    const request = indexedDB.open(databaseName, version);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(storeName)) {
+        request.result.createObjectStore(storeName);
+      }
+    };
+    const opened = requestToPromise(request);
+    const blocked = new Promise((resolve, reject) => {
+      request.onblocked = () => {
+        // Another connection (e.g. in another tab) keeps the old version open. Fail instead of waiting for it,
+        // and close the connection if the upgrade goes through later; the next call reopens the database.
+        opened.then((database) => database.close(), () => {});
+        reject(new Error(`Opening IndexedDB database "${databaseName}" is blocked by another connection.`));
+      };
+    });
+    const database = await Promise.race([opened, blocked]);
+    if (!database.objectStoreNames.contains(storeName)) {
+      // The database was created elsewhere without our store; a version bump lets onupgradeneeded add it.
+      database.close();
+      return openDatabase(database.version + 1);
+    }
+    database.onversionchange = () => {
+      database.close();
+      databasePromise = null;
+    };
+    return database;
+  };
+
+  const getDatabase = () => {
+    if (!indexedDB) {
+      return Promise.reject(new Error("IndexedDB is not available."));
+    }
+    if (!databasePromise) {
+      databasePromise = openDatabase();
+      databasePromise.catch(() => {
+        databasePromise = null; // Let the next call retry.
+      });
+    }
+    return databasePromise;
+  };
+
+  const runInStore = async (mode, operation) => {
+    const database = await getDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = database.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      // Resolving on completion (not on the request's success) means writes are committed.
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () =>
+        reject(transaction.error || new Error("IndexedDB transaction was aborted."));
+    });
+  };
+
+  return {
+    /**
+     * Values are structured-cloned, so the persistence middleware hands over encoded data without stringifying it.
+     * @type {boolean}
+     */
+    storesStrings: false,
+
+    /**
+     * Retrieves an item from the object store.
+     * @param {string} key - The key of the item.
+     * @returns {Promise<any>} The stored value, or undefined if not found.
+     */
+    getItem: (key) => runInStore("readonly", (store) => store.get(key)),
+
+    /**
+     * Stores an item in the object store. The value is structured-cloned, not stringified.
+     * @param {string} key - The key of the item.
+     * @param {any} value - The value to store.
+     * @returns {Promise<void>} Resolves once the write is committed.
+     */
+    setItem: async (key, value) => {
+      await runInStore("readwrite", (store) => store.put(value, key));
+    },
+
+    /**
+     * Removes an item from the object store.
+     * @param {string} key - The key of the item.
+     * @returns {Promise<void>} Resolves once the deletion is committed.
+     */
+    removeItem: async (key) => {
+      await runInStore("readwrite", (store) => store.delete(key));
+    },
+
+    /**
+     * Closes the database connection. The next operation reopens it.
+     * @returns {Promise<void>}
+     */
+    close: async () => {
+      if (!databasePromise) {
+        return;
+      }
+      const pending = databasePromise;
+      databasePromise = null;
+      try {
+        (await pending).close();
+      } catch {
+        // Opening failed, so there is nothing to close.
+      }
+    },
+  };
+}
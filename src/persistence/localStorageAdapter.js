@@ -1,12 +1,20 @@
 /**
  * @file Implements a StorageAdapter for browser localStorage.
+ * localStorage only holds strings, so the adapter stores the already-serialized string it is given
+ * and returns it unparsed; persistStateMiddleware and rehydrateState do the (de)serialization.
  */
 
 const localStorageAdapter = {
+  /**
+   * localStorage holds strings, so the persistence middleware serializes payloads before setItem.
+   * @type {boolean}
+   */
+  storesStrings: true,
+
   /**
    * Retrieves an item from localStorage.
    * @param {string} key - The key of the item.
-   * @returns {any | null} The retrieved item (parsed if JSON), or null if not found or error.
+   * @returns {string | undefined | null} The stored string, undefined if not found, or null on error.
    */
   getItem: (key) => {
     if (typeof window === "undefined" || !window.localStorage) {
@@ -18,7 +26,7 @@ const localStorageAdapter = {
       if (serializedState === null) {
         return undefined; // Or null, depending on desired API for "not found"
       }
-      return JSON.parse(serializedState);
+      return serializedState;
     } catch (error) {
       console.error("Error getting item from localStorage:", error);
       return null; // Or undefined
@@ -28,7 +36,7 @@ const localStorageAdapter = {
   /**
    * Sets an item in localStorage.
    * @param {string} key - The key of the item.
-   * @param {any} value - The value to store (will be JSON.stringified).
+   * @param {string} value - The serialized value to store, as-is.
    * @returns {void}
    */
   setItem: (key, value) => {
@@ -37,8 +45,12 @@ const localStorageAdapter = {
       return;
     }
     try {
-      const serializedState = JSON.stringify(value);
-      window.localStorage.setItem(key, serializedState);
+      if (typeof value !== "string") {
+        throw new TypeError(
+          "localStorageAdapter stores strings. Serialize the value first (persistStateMiddleware does by default).",
+        );
+      }
+      window.localStorage.setItem(key, value);
     } catch (error) {
       console.error("Error setting item in localStorage:", error);
     }
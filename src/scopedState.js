@@ -1,6 +1,52 @@
 import { state, derive } from './utils/customVanUtils.js'; // Correct path from src/ to src/utils/
 import { connectToGlobalStore } from './bridge.js'
 import { fromJS, isImmutable } from './utils/immutableUtils.js'
+import { immutableEquals } from './utils/customReselectUtils.js'
+
+/**
+ * Validates the `equals` option and falls back to immutable-aware equality:
+ * custom Maps/Lists are compared with `.equals`, anything else with `===`.
+ * @param {object} options - The createScopedState/deriveScopedState options.
+ * @param {string} fnName - Used in the error message.
+ * @returns {function(any, any): boolean}
+ */
+function resolveEquals(options, fnName) {
+  const { equals = immutableEquals } = options
+  if (typeof equals !== 'function') {
+    throw new Error(`${fnName} expects \`equals\` to be a function.`)
+  }
+  return equals
+}
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+/**
+ * Converts a value for a strict-mode scoped state. Plain objects, arrays and native Sets/Maps go through fromJS;
+ * other mutable objects (class instances, Dates, DOM nodes, ...) would lose their prototype, so they are rejected.
+ * @param {any} value - The value being stored.
+ * @returns {any} The immutable value, or the primitive as-is.
+ */
+function toStrictImmutable(value) {
+  if (value === null || typeof value !== 'object' || isImmutable(value)) {
+    return value
+  }
+  if (Array.isArray(value) || isPlainObject(value) || value instanceof Set || value instanceof Map) {
+    return fromJS(value)
+  }
+  const typeName = (value.constructor && value.constructor.name) || 'object'
+  throw new Error(`Strict scoped state cannot hold a mutable ${typeName}. Assign an immutable value, a plain object or an array.`)
+}
+
+function requireImmutable(scopedState, methodName) {
+  const current = scopedState._val
+  if (!isImmutable(current)) {
+    throw new Error(`${methodName} requires the scoped state to hold an immutable collection.`)
+  }
+  return current
+}
 
 /**
  * Creates a reactive scoped state object using VanJS.
@@ -11,30 +57,84 @@ import { fromJS, isImmutable } from './utils/immutableUtils.js'
  * @param {T} initialValue - The initial value for the state.
  * @param {object} [options] - Options for the scoped state.
  * @param {object} [options.globalStore] - An instance of the global store to connect to.
- * @param {boolean} [options.useImmutable=false] - If true, and `initialValue` is a plain JavaScript object or array,
+ * @param {boolean | 'strict'} [options.useImmutable=false] - If true, and `initialValue` is a plain JavaScript object or array,
  *                                               it is converted to an Immutable.js structure upon creation.
- *                                               This option *only* affects the initial value conversion.
- *                                               Subsequent assignments to `scopedState.val` are NOT automatically
- *                                               converted to immutable structures by this option; users must
- *                                               manage ongoing immutability themselves if desired by assigning
- *                                               Immutable.js objects to `.val`.
+ *                                               `true` *only* affects the initial value conversion.
+ *                                               With `'strict'`, every assignment to `scopedState.val` (and the initial
+ *                                               value) is converted with fromJS as well, and mutable objects that are not
+ *                                               plain objects, arrays or native Sets/Maps are rejected with an error.
+ * @param {function(T, T): boolean} [options.equals] - Decides whether an assignment to `.val` changes the value.
+ *                                                   Equal assignments are ignored and do not notify dependents.
+ *                                                   Defaults to `.equals` when both values are immutable
+ *                                                   (so an equal-but-new Map from fromJS is a no-op), else `===`.
  * @returns {object} A VanJS state object, potentially augmented with global interaction methods,
  *                   and whose initial value might be an Immutable.js structure if `useImmutable` was true.
+ *                   It also has `update(fn)`, `setIn(path, value)` and `updateIn(path, fn)` helpers, which
+ *                   compute the next value from the current one and assign it once (one notification).
  */
 function createScopedState(initialValue, options = {}) {
   const { globalStore, useImmutable = false } = options
+  if (typeof useImmutable !== 'boolean' && useImmutable !== 'strict') {
+    throw new Error("createScopedState expects `useImmutable` to be a boolean or 'strict'.")
+  }
+  const strict = useImmutable === 'strict'
 
   let finalInitialValue = initialValue
-  if (useImmutable && typeof initialValue === 'object' && initialValue !== null && !isImmutable(initialValue)) {
+  if (strict) {
+    finalInitialValue = toStrictImmutable(initialValue)
+  } else if (useImmutable && typeof initialValue === 'object' && initialValue !== null && !isImmutable(initialValue)) {
     finalInitialValue = fromJS(initialValue)
   }
 
-  const scopedState = state(finalInitialValue); // Use custom state
+  const scopedState = state(finalInitialValue, { equals: resolveEquals(options, 'createScopedState') }); // Use custom state
+
+  if (strict) {
+    // Wrap the core setter so reactivity is untouched and only the stored value changes.
+    const { get, set } = Object.getOwnPropertyDescriptor(scopedState, 'val')
+    Object.defineProperty(scopedState, 'val', {
+      get,
+      set(newValue) {
+        set.call(scopedState, toStrictImmutable(newValue))
+      },
+      enumerable: true,
+      configurable: true,
+    })
+  }
+
+  /**
+   * Assigns updaterFn(currentValue) to `.val`. Reading the current value here is not tracked.
+   * @param {function(T): T} updaterFn - Computes the next value.
+   * @returns {T} The new value.
+   */
+  scopedState.update = (updaterFn) => {
+    if (typeof updaterFn !== 'function') {
+      throw new Error('update expects an updater function.')
+    }
+    scopedState.val = updaterFn(scopedState._val)
+    return scopedState._val
+  }
+
+  /**
+   * Sets a nested value in the immutable collection held by the state.
+   * @param {Array<any>} path - The path of keys/indices.
+   * @param {any} value - The value to set.
+   * @returns {T} The new value.
+   */
+  scopedState.setIn = (path, value) => {
+    scopedState.val = requireImmutable(scopedState, 'setIn').setIn(path, value)
+    return scopedState._val
+  }
 
-  // The previous Object.defineProperty for 'val' when useImmutable was true has been removed.
-  // It was not functionally enforcing immutability on ongoing assignments due to complexities
-  // with overriding VanJS's native .val setter without recreating its reactivity.
-  // The 'useImmutable' option now solely pertains to the conversion of the initialValue.
+  /**
+   * Updates a nested value in the immutable collection held by the state.
+   * @param {Array<any>} path - The path of keys/indices.
+   * @param {function(any): any} updaterFn - Receives the current nested value.
+   * @returns {T} The new value.
+   */
+  scopedState.updateIn = (path, updaterFn) => {
+    scopedState.val = requireImmutable(scopedState, 'updateIn').updateIn(path, updaterFn)
+    return scopedState._val
+  }
 
   if (globalStore) {
     connectToGlobalStore(scopedState, globalStore)
@@ -53,10 +153,13 @@ function createScopedState(initialValue, options = {}) {
  * @param {object} [options] - Options for the derived state.
  * @param {object} [options.globalStore] - An instance of the global store, if the derivationFn needs to establish bridge capabilities
  *                                         on the derived state itself (less common, as bridge methods are typically on the source states).
+ * @param {function(T, T): boolean} [options.equals] - Decides whether a recomputed value changed. Equal results keep the
+ *                                                   previous value and do not notify dependents. Defaults to `.equals`
+ *                                                   when both values are immutable, else `===`.
  * @returns {object} A VanJS derived state object. If globalStore is provided, it might be augmented with bridge methods.
  */
 function deriveScopedState(derivationFn, options = {}) {
-  const derivedState = derive(derivationFn); // Use custom derive
+  const derivedState = derive(derivationFn, { equals: resolveEquals(options, 'deriveScopedState') }); // Use custom derive
   if (options.globalStore) {
     // Attaching bridge to derivedState directly. Use cases might be limited.
     connectToGlobalStore(derivedState, options.globalStore)
@@ -0,0 +1,94 @@
+/**
+ * @file createSlice: one definition for a slice's reducer, action types and action creators.
+ */
+import { fromJS, isImmutable } from './utils/immutableUtils.js'
+
+/**
+ * Creates an action creator for a namespaced type.
+ * @param {string} type - The full action type, e.g. 'counter/increment'.
+ * @param {function(...any): object} [prepare] - Builds `{ payload, meta?, error? }` from the call arguments.
+ *                                              Without it, the first argument becomes the payload.
+ * @returns {function(...any): object} The action creator, with `type` and `match(action)` attached.
+ */
+function createSliceAction(type, prepare) {
+  const actionCreator = (...args) => {
+    if (!prepare) {
+      return { type, payload: args[0] }
+    }
+    const prepared = prepare(...args)
+    if (prepared === null || typeof prepared !== 'object') {
+      throw new Error(`The prepare callback for "${type}" must return an object.`)
+    }
+    return { type, ...prepared }
+  }
+  actionCreator.type = type
+  actionCreator.toString = () => type
+  actionCreator.match = (action) => action !== null && typeof action === 'object' && action.type === type
+  return actionCreator
+}
+
+/**
+ * Creates a slice of state from a name, an initial state and an object of case reducers.
+ *
+ * Each key of `reducers` becomes an action type `${name}/${key}` and an action creator in `slice.actions`.
+ * Case reducers receive the current state (our custom Map/List) and the action, and return the next state,
+ * e.g. `increment: (state, action) => state.update('count', c => c + action.payload)`.
+ * A case reducer may also be given as `{ reducer, prepare }`, where `prepare(...args)` builds the action's
+ * `payload` (and optional `meta`/`error`) for action creators that take several arguments.
+ *
+ * A plain object or array `initialState` is converted with fromJS, so `slice.reducer` can be passed straight to
+ * createGlobalStore (or used in a map of slice reducers), and `slice.actions` to its `actions` option.
+ * Case reducers must keep returning custom Map/List structures to pass the store's immutability check.
+ *
+ * @param {object} config - The slice definition.
+ * @param {string} config.name - Prefix for the generated action types.
+ * @param {object | Array | Map | List} config.initialState - The slice's initial state.
+ * @param {object} config.reducers - An object of case reducers, keyed by action name.
+ * @returns {{ name: string, reducer: function, actions: object, caseReducers: object, getInitialState: function }}
+ *          The slice.
+ */
+export function createSlice({ name, initialState, reducers } = {}) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error('createSlice expects `name` to be a non-empty string.')
+  }
+  if (reducers === null || typeof reducers !== 'object') {
+    throw new Error('createSlice expects `reducers` to be an object of case reducers.')
+  }
+
+  // Slice state must be immutable: createGlobalStore and combineReducers reject anything else.
+  const sliceInitialState = isImmutable(initialState) ? initialState : fromJS(initialState)
+  if (!isImmutable(sliceInitialState)) {
+    throw new Error('createSlice expects `initialState` to be an immutable collection, a plain object or an array.')
+  }
+
+  const actions = {}
+  const caseReducers = {}
+  const caseReducersByType = {}
+
+  for (const [actionName, definition] of Object.entries(reducers)) {
+    const caseReducer = typeof definition === 'function' ? definition : definition && definition.reducer
+    const prepare = typeof definition === 'function' ? undefined : definition && definition.prepare
+    if (typeof caseReducer !== 'function' || (prepare !== undefined && typeof prepare !== 'function')) {
+      throw new Error(`createSlice expects the case reducer "${actionName}" to be a function or { reducer, prepare }.`)
+    }
+    const type = `${name}/${actionName}`
+    actions[actionName] = createSliceAction(type, prepare)
+    caseReducers[actionName] = caseReducer
+    caseReducersByType[type] = caseReducer
+  }
+
+  const reducer = (state = sliceInitialState, action) => {
+    const caseReducer = Object.prototype.hasOwnProperty.call(caseReducersByType, action.type)
+      ? caseReducersByType[action.type]
+      : undefined
+    return caseReducer ? caseReducer(state, action) : state
+  }
+
+  return {
+    name,
+    reducer,
+    actions,
+    caseReducers,
+    getInitialState: () => sliceInitialState,
+  }
+}
@@ -2,71 +2,798 @@
 
 const IMMUTABLE_MARKER = Symbol("isImmutable");
 
+// Sentinel for "no value at this key/index", so stored `undefined` values stay distinguishable.
+const NOT_SET = Object.freeze({});
+
 export function isImmutable(value) {
   return !!(value && value[IMMUTABLE_MARKER]);
 }
 
-export function fromJS(jsValue) {
+// The exported Map and Set classes shadow the built-ins inside this module.
+const NativeMap = globalThis.Map;
+const NativeSet = globalThis.Set;
+
+/**
+ * Deeply converts plain JavaScript values into immutable collections:
+ * arrays become Lists, plain objects become Maps, native Sets become Sets
+ * and native Maps become OrderedMaps (keys are normalized to strings).
+ *
+ * An optional reviver(key, collection, path) is called bottom-up for every converted
+ * collection (the root has key "" and path []), and its return value is used instead.
+ * This is how plain data coming back from JSON can be turned into Sets or OrderedMaps.
+ *
+ * @param {any} jsValue - The plain JavaScript value to convert.
+ * @param {function(string|number, any, Array): any} [reviver] - Optional conversion hook.
+ * @returns {any} The immutable structure, or jsValue itself for primitives and Dates.
+ */
+export function fromJS(jsValue, reviver) {
+  // Guard against being used as an Array#map callback, which passes the index here.
+  return convertJS(jsValue, typeof reviver === "function" ? reviver : null, "", []);
+}
+
+function convertJS(jsValue, reviver, key, path) {
   if (jsValue === null || typeof jsValue !== "object") {
     return jsValue;
   }
 
   // If it's already one of our immutable types, return it directly.
-  if (isImmutable(jsValue)) {
+  // Dates are values, not collections of their (non-existent) own properties.
+  if (isImmutable(jsValue) || jsValue instanceof Date) {
     return jsValue;
   }
 
+  const child = (value, childKey) =>
+    convertJS(value, reviver, childKey, reviver ? path.concat([childKey]) : path);
+
+  let collection;
   if (Array.isArray(jsValue)) {
-    return new List(jsValue.map(fromJS));
+    collection = new List(jsValue.map((value, index) => child(value, index)));
+  } else if (jsValue instanceof NativeSet) {
+    collection = new Set(Array.from(jsValue, (value) => child(value, value)));
+  } else if (jsValue instanceof NativeMap) {
+    collection = orderedMapFromEntries(
+      Array.from(jsValue, ([entryKey, value]) => {
+        const normalized = normalizeKey(entryKey);
+        return [normalized, child(value, normalized)];
+      }),
+    );
+  } else {
+    const mapData = {};
+    for (const dataKey in jsValue) {
+      if (Object.prototype.hasOwnProperty.call(jsValue, dataKey)) {
+        mapData[dataKey] = child(jsValue[dataKey], dataKey);
+      }
+    }
+    collection = new Map(mapData);
+  }
+  return reviver ? reviver(key, collection, path) : collection;
+}
+
+// --- Hashing ---
+// Collections are frozen, so lazily computed hash codes and `_data` snapshots live in WeakMaps.
+
+const hashCodes = new WeakMap();
+const dataSnapshots = new WeakMap();
+const objectHashes = new WeakMap();
+let nextObjectHash = 1;
+
+function mixHash(a, b) {
+  let h = Math.imul(a ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(b ^ 0x7f4a7c15, 0xc2b2ae35);
+  h ^= h >>> 15;
+  return Math.imul(h, 0x27d4eb2f) | 0;
+}
+
+function hashString(str) {
+  let h = 0;
+  for (let i = 0; i < str.length; i++) {
+    h = (Math.imul(31, h) + str.charCodeAt(i)) | 0;
+  }
+  return h;
+}
+
+/**
+ * Computes a 32-bit hash that is consistent with the `equals` semantics of the collections:
+ * immutable values hash by content, other objects by identity, primitives by value.
+ * @param {any} value - The value to hash.
+ * @returns {number} A 32-bit integer hash.
+ */
+function hashValue(value) {
+  if (value === null) return 0x42108420;
+  switch (typeof value) {
+    case "undefined":
+      return 0x42108421;
+    case "boolean":
+      return value ? 0x42108422 : 0x42108423;
+    case "number":
+      return Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff
+        ? value | 0
+        : hashString(String(value));
+    case "string":
+      return hashString(value);
+    case "bigint":
+    case "symbol":
+      return hashString(value.toString());
+    default: {
+      if (isImmutable(value) && typeof value.hashCode === "function") {
+        return value.hashCode();
+      }
+      let h = objectHashes.get(value);
+      if (h === undefined) {
+        h = nextObjectHash++;
+        objectHashes.set(value, h);
+      }
+      return h;
+    }
+  }
+}
+
+function valuesEqual(a, b) {
+  if (isImmutable(a) && isImmutable(b)) return a.equals(b);
+  return a === b;
+}
+
+// Map keys are strings or symbols, but Set members may be collections compared by value.
+function keysEqual(a, b) {
+  return a === b || valuesEqual(a, b);
+}
+
+// Map keys behave like plain-object property keys, so they are normalized to strings.
+function normalizeKey(key) {
+  return typeof key === "symbol" ? key : String(key);
+}
+
+// --- Map storage: small insertion-ordered entry arrays, then a hash array mapped trie (HAMT) ---
+// HAMT entries carry an insertion sequence number, so Maps of any size iterate in insertion order.
+// Numbers come from one shared counter: a new key is numbered after every key of every existing Map,
+// and updating a key keeps its number (and so its position).
+
+const HAMT_BITS = 5;
+const HAMT_MASK = (1 << HAMT_BITS) - 1;
+const MAX_ARRAY_MAP_SIZE = 8;
+const EMPTY_BITMAP_NODE = Object.freeze({ kind: "bitmap", bitmap: 0, children: [] });
+const orderedRootEntries = new WeakMap(); // HAMT root -> its [key, value] entries in insertion order
+let lastSeq = 0;
+
+function nextSeq() {
+  lastSeq += 1;
+  return lastSeq;
+}
+
+function popCount(x) {
+  x -= (x >> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >> 2) & 0x33333333);
+  x = (x + (x >> 4)) & 0x0f0f0f0f;
+  x += x >> 8;
+  x += x >> 16;
+  return x & 0x7f;
+}
+
+function hamtGet(node, shift, hash, key) {
+  switch (node.kind) {
+    case "array":
+    case "collision": {
+      for (let i = 0; i < node.entries.length; i++) {
+        if (keysEqual(node.entries[i][0], key)) return node.entries[i][1];
+      }
+      return NOT_SET;
+    }
+    case "leaf":
+      return keysEqual(node.key, key) ? node.value : NOT_SET;
+    default: {
+      const bit = 1 << ((hash >>> shift) & HAMT_MASK);
+      if ((node.bitmap & bit) === 0) return NOT_SET;
+      const child = node.children[popCount(node.bitmap & (bit - 1))];
+      return hamtGet(child, shift + HAMT_BITS, hash, key);
+    }
+  }
+}
+
+// Combines two nodes with different hashes into the smallest bitmap subtree that separates them.
+function mergeNodes(shift, a, b) {
+  const indexA = (a.hash >>> shift) & HAMT_MASK;
+  const indexB = (b.hash >>> shift) & HAMT_MASK;
+  if (indexA === indexB) {
+    return {
+      kind: "bitmap",
+      bitmap: 1 << indexA,
+      children: [mergeNodes(shift + HAMT_BITS, a, b)],
+    };
+  }
+  return {
+    kind: "bitmap",
+    bitmap: (1 << indexA) | (1 << indexB),
+    children: indexA < indexB ? [a, b] : [b, a],
+  };
+}
+
+// Returns a new node with key set to value, copying only the path to the changed leaf.
+// A new key gets the sequence number `seq`; an existing key keeps its own.
+function hamtSet(node, shift, hash, key, value, seq) {
+  switch (node.kind) {
+    case "leaf": {
+      if (keysEqual(node.key, key)) {
+        return { kind: "leaf", hash, key, value, seq: node.seq };
+      }
+      if (node.hash === hash) {
+        return {
+          kind: "collision",
+          hash,
+          entries: [[node.key, node.value, node.seq], [key, value, seq]],
+        };
+      }
+      return mergeNodes(shift, node, { kind: "leaf", hash, key, value, seq });
+    }
+    case "collision": {
+      if (node.hash !== hash) {
+        return mergeNodes(shift, node, { kind: "leaf", hash, key, value, seq });
+      }
+      const entries = node.entries.slice();
+      const index = entries.findIndex((entry) => keysEqual(entry[0], key));
+      if (index === -1) entries.push([key, value, seq]);
+      else entries[index] = [key, value, entries[index][2]];
+      return { kind: "collision", hash, entries };
+    }
+    default: {
+      const bit = 1 << ((hash >>> shift) & HAMT_MASK);
+      const index = popCount(node.bitmap & (bit - 1));
+      const children = node.children.slice();
+      if ((node.bitmap & bit) === 0) {
+        children.splice(index, 0, { kind: "leaf", hash, key, value, seq });
+        return { kind: "bitmap", bitmap: node.bitmap | bit, children };
+      }
+      children[index] = hamtSet(children[index], shift + HAMT_BITS, hash, key, value, seq);
+      return { kind: "bitmap", bitmap: node.bitmap, children };
+    }
+  }
+}
+
+// Returns a new node without key, the same node if key is absent, or null if the node became empty.
+function hamtRemove(node, shift, hash, key) {
+  switch (node.kind) {
+    case "leaf":
+      return keysEqual(node.key, key) ? null : node;
+    case "collision": {
+      const index = node.entries.findIndex((entry) => keysEqual(entry[0], key));
+      if (index === -1) return node;
+      const entries = node.entries.filter((_, i) => i !== index);
+      if (entries.length === 1) {
+        const [key, value, seq] = entries[0];
+        return { kind: "leaf", hash: node.hash, key, value, seq };
+      }
+      return { kind: "collision", hash: node.hash, entries };
+    }
+    default: {
+      const bit = 1 << ((hash >>> shift) & HAMT_MASK);
+      if ((node.bitmap & bit) === 0) return node;
+      const index = popCount(node.bitmap & (bit - 1));
+      const child = node.children[index];
+      const newChild = hamtRemove(child, shift + HAMT_BITS, hash, key);
+      if (newChild === child) return node;
+
+      const children = node.children.slice();
+      let bitmap = node.bitmap;
+      if (newChild === null) {
+        children.splice(index, 1);
+        bitmap &= ~bit;
+      } else {
+        children[index] = newChild;
+      }
+      if (children.length === 0) return null;
+      // A lone leaf can move up a level; lookups still compare its full key.
+      if (shift > 0 && children.length === 1 && children[0].kind !== "bitmap") {
+        return children[0];
+      }
+      return { kind: "bitmap", bitmap, children };
+    }
+  }
+}
+
+// Visits every entry in storage order: insertion order for array roots, hash order for HAMTs.
+// Use rootEntryArray where the order is observable.
+function hamtForEach(node, fn) {
+  switch (node.kind) {
+    case "array":
+    case "collision":
+      node.entries.forEach((entry) => fn(entry[1], entry[0], entry[2]));
+      return;
+    case "leaf":
+      fn(node.value, node.key, node.seq);
+      return;
+    default:
+      node.children.forEach((child) => hamtForEach(child, fn));
+  }
+}
+
+function rootLookup(root, key) {
+  return root.kind === "array"
+    ? hamtGet(root, 0, 0, key)
+    : hamtGet(root, 0, hashValue(key), key);
+}
+
+function mapLookup(map, key) {
+  return rootLookup(map._root, key);
+}
+
+// Small roots stay insertion-ordered entry arrays; larger ones are converted to a HAMT.
+function rootSet(root, size, key, value) {
+  if (root.kind === "array" && size <= MAX_ARRAY_MAP_SIZE) {
+    const entries = root.entries.slice();
+    const index = entries.findIndex((entry) => keysEqual(entry[0], key));
+    if (index === -1) entries.push([key, value]);
+    else entries[index] = [key, value];
+    return { kind: "array", entries };
+  }
+  const node = root.kind === "array" ? entriesToHamt(root.entries) : root;
+  return hamtSet(node, 0, hashValue(key), key, value, nextSeq());
+}
+
+function rootRemove(root, key) {
+  return root.kind === "array"
+    ? { kind: "array", entries: root.entries.filter((entry) => !keysEqual(entry[0], key)) }
+    : hamtRemove(root, 0, hashValue(key), key) || EMPTY_BITMAP_NODE;
+}
+
+function makeMap(root, size, hash) {
+  const map = Object.create(Map.prototype);
+  map._root = root;
+  map._size = size;
+  if (hash !== undefined) hashCodes.set(map, hash);
+  Object.defineProperty(map, IMMUTABLE_MARKER, { value: true });
+  return Object.freeze(map);
+}
+
+function mapEntryHash(key, value) {
+  return mixHash(hashValue(key), hashValue(value));
+}
+
+function mapSet(map, key, value) {
+  const previous = mapLookup(map, key);
+  if (previous === value) {
+    return map;
+  }
+
+  const size = previous === NOT_SET ? map._size + 1 : map._size;
+  const newRoot = rootSet(map._root, size, key, value);
+
+  // Keep an already computed hash code up to date instead of recomputing it later.
+  let hash;
+  const previousHash = hashCodes.get(map);
+  if (previousHash !== undefined) {
+    hash = previousHash + mapEntryHash(key, value);
+    if (previous !== NOT_SET) hash -= mapEntryHash(key, previous);
+    hash |= 0;
+  }
+  return makeMap(newRoot, size, hash);
+}
+
+function entriesToHamt(entries) {
+  let node = EMPTY_BITMAP_NODE;
+  for (const [key, value] of entries) {
+    node = hamtSet(node, 0, hashValue(key), key, value, nextSeq());
+  }
+  return node;
+}
+
+function mapDelete(map, key) {
+  const previous = mapLookup(map, key);
+  if (previous === NOT_SET) {
+    return map;
+  }
+
+  const newRoot = rootRemove(map._root, key);
+  const previousHash = hashCodes.get(map);
+  const hash =
+    previousHash === undefined
+      ? undefined
+      : (previousHash - mapEntryHash(key, previous)) | 0;
+  return makeMap(newRoot, map._size - 1, hash);
+}
+
+function rootFromEntries(entries) {
+  return entries.length <= MAX_ARRAY_MAP_SIZE
+    ? { kind: "array", entries }
+    : entriesToHamt(entries);
+}
+
+function mapFromEntries(entries) {
+  return makeMap(rootFromEntries(entries), entries.length);
+}
+
+// Returns the root's [key, value] entries in insertion order, cached per HAMT root.
+function rootEntryArray(root) {
+  if (root.kind === "array") {
+    return root.entries.slice();
+  }
+  let ordered = orderedRootEntries.get(root);
+  if (!ordered) {
+    const entries = [];
+    hamtForEach(root, (value, key, seq) => entries.push([key, value, seq]));
+    entries.sort((a, b) => a[2] - b[2]);
+    ordered = entries.map(([key, value]) => [key, value]);
+    orderedRootEntries.set(root, ordered);
+  }
+  return ordered.slice();
+}
+
+function mapEntryArray(map) {
+  return rootEntryArray(map._root);
+}
+
+// Accepts a Map or a plain object as the source of a merge.
+function mergeSourceEntries(source) {
+  if (source instanceof Map) return Array.from(source.entries());
+  if (source === null || typeof source !== "object" || isImmutable(source)) {
+    throw new Error("Map.merge expects Maps or plain objects to merge.");
+  }
+  return Object.keys(source).map((key) => [key, source[key]]);
+}
+
+function deleteInPath(collection, path) {
+  if (path.length === 1) {
+    return collection.delete(path[0]);
+  }
+  const child = lookup(collection, path[0]);
+  if (child === NOT_SET || !isImmutable(child)) {
+    return collection;
+  }
+  const newChild = deleteInPath(child, path.slice(1));
+  return newChild === child ? collection : collection.set(path[0], newChild);
+}
+
+// --- List storage: a 32-way persistent vector trie ---
+
+const VECTOR_BITS = 5;
+const VECTOR_WIDTH = 1 << VECTOR_BITS;
+const VECTOR_MASK = VECTOR_WIDTH - 1;
+
+function vectorGet(list, index) {
+  let node = list._root;
+  for (let level = list._shift; level > 0; level -= VECTOR_BITS) {
+    node = node[(index >>> level) & VECTOR_MASK];
+  }
+  return node[index & VECTOR_MASK];
+}
+
+// Returns a copy of the path to `index` with the value replaced, creating missing nodes.
+function vectorSet(node, shift, index, value) {
+  const copy = node ? node.slice() : [];
+  if (shift === 0) {
+    copy[index & VECTOR_MASK] = value;
+  } else {
+    const slot = (index >>> shift) & VECTOR_MASK;
+    copy[slot] = vectorSet(copy[slot], shift - VECTOR_BITS, index, value);
+  }
+  return copy;
+}
+
+function vectorFromArray(values) {
+  if (values.length <= VECTOR_WIDTH) {
+    return { root: values.slice(), shift: 0 };
+  }
+  let nodes = [];
+  for (let i = 0; i < values.length; i += VECTOR_WIDTH) {
+    nodes.push(values.slice(i, i + VECTOR_WIDTH));
+  }
+  let shift = 0;
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += VECTOR_WIDTH) {
+      parents.push(nodes.slice(i, i + VECTOR_WIDTH));
+    }
+    nodes = parents;
+    shift += VECTOR_BITS;
+  }
+  return { root: nodes[0], shift };
+}
+
+function vectorToArray(list) {
+  const result = [];
+  const walk = (node, level) => {
+    for (let i = 0; i < node.length && result.length < list._size; i++) {
+      if (level === 0) result.push(node[i]);
+      else walk(node[i], level - VECTOR_BITS);
+    }
+  };
+  walk(list._root, list._shift);
+  return result;
+}
+
+function makeList(root, shift, size, hash) {
+  const list = Object.create(List.prototype);
+  list._root = root;
+  list._shift = shift;
+  list._size = size;
+  if (hash !== undefined) hashCodes.set(list, hash);
+  Object.defineProperty(list, IMMUTABLE_MARKER, { value: true });
+  return Object.freeze(list);
+}
+
+function listFromArray(values) {
+  const { root, shift } = vectorFromArray(values);
+  return makeList(root, shift, values.length);
+}
+
+function listSet(list, index, value) {
+  const size = list._size;
+  const isAppend = index === size;
+  const previous = isAppend ? NOT_SET : vectorGet(list, index);
+  if (previous === value) {
+    return list;
+  }
+
+  let root = list._root;
+  let shift = list._shift;
+  // Grow the trie by one level when appending to a full tree.
+  if (isAppend && size === 1 << (shift + VECTOR_BITS)) {
+    root = [root];
+    shift += VECTOR_BITS;
+  }
+  root = vectorSet(root, shift, index, value);
+
+  let hash;
+  const previousHash = hashCodes.get(list);
+  if (previousHash !== undefined) {
+    hash = previousHash + mixHash(index, hashValue(value));
+    if (previous !== NOT_SET) hash -= mixHash(index, hashValue(previous));
+    hash |= 0;
+  }
+  return makeList(root, shift, isAppend ? size + 1 : size, hash);
+}
+
+function listPop(list) {
+  const size = list._size;
+  if (size === 0) {
+    return list;
+  }
+  // Clear the slot so the removed value isn't retained by the shared trie.
+  const root = vectorSet(list._root, list._shift, size - 1, undefined);
+  const previousHash = hashCodes.get(list);
+  const hash =
+    previousHash === undefined
+      ? undefined
+      : (previousHash - mixHash(size - 1, hashValue(vectorGet(list, size - 1)))) | 0;
+  return makeList(root, list._shift, size - 1, hash);
+}
+
+// Resolves a possibly negative index the way Array.prototype.slice does.
+function resolveIndex(index, size, defaultIndex) {
+  if (index === undefined) return defaultIndex;
+  const integer = Math.trunc(Number(index)) || 0;
+  return integer < 0 ? Math.max(size + integer, 0) : Math.min(integer, size);
+}
+
+function defaultComparator(a, b) {
+  if (a > b) return 1;
+  if (a < b) return -1;
+  return 0;
+}
+
+// --- Set storage: the Map root structure, with every member stored as its own key ---
+
+function makeSet(root, size, hash) {
+  const set = Object.create(Set.prototype);
+  set._root = root;
+  set._size = size;
+  if (hash !== undefined) hashCodes.set(set, hash);
+  Object.defineProperty(set, IMMUTABLE_MARKER, { value: true });
+  return Object.freeze(set);
+}
+
+function setRootFromValues(values) {
+  let root = { kind: "array", entries: [] };
+  let size = 0;
+  for (const value of values) {
+    if (rootLookup(root, value) === NOT_SET) {
+      size++;
+      root = rootSet(root, size, value, value);
+    }
+  }
+  return { root, size };
+}
+
+function setFromValues(values) {
+  const { root, size } = setRootFromValues(values);
+  return makeSet(root, size);
+}
+
+function setValueArray(set) {
+  const values = [];
+  hamtForEach(set._root, (value) => values.push(value));
+  return values;
+}
+
+function setAdd(set, value) {
+  if (rootLookup(set._root, value) !== NOT_SET) {
+    return set;
+  }
+  const size = set._size + 1;
+  const previousHash = hashCodes.get(set);
+  const hash =
+    previousHash === undefined ? undefined : (previousHash + hashValue(value)) | 0;
+  return makeSet(rootSet(set._root, size, value, value), size, hash);
+}
+
+function setDelete(set, value) {
+  if (rootLookup(set._root, value) === NOT_SET) {
+    return set;
+  }
+  const previousHash = hashCodes.get(set);
+  const hash =
+    previousHash === undefined ? undefined : (previousHash - hashValue(value)) | 0;
+  return makeSet(rootRemove(set._root, value), set._size - 1, hash);
+}
+
+// Accepts Sets, Lists, arrays or any other iterable as the operand of a set operation.
+function setOperandValues(operand, methodName) {
+  if (operand instanceof Set || operand instanceof List) {
+    return Array.from(operand);
+  }
+  if (
+    operand === null ||
+    typeof operand !== "object" ||
+    isImmutable(operand) ||
+    typeof operand[Symbol.iterator] !== "function"
+  ) {
+    throw new Error(`Set.${methodName} expects Sets, Lists, arrays or other iterables.`);
+  }
+  return Array.from(operand, (value) => fromJS(value));
+}
+
+// --- OrderedMap storage: a Map from key to position plus a List of frozen [key, value] entries ---
+// Deleted positions are left empty and compacted away once they outnumber the live entries.
+
+const MIN_COMPACT_SIZE = 32;
+
+function makeOrderedMap(positions, entryList) {
+  const orderedMap = Object.create(OrderedMap.prototype);
+  orderedMap._map = positions;
+  orderedMap._list = entryList;
+  Object.defineProperty(orderedMap, IMMUTABLE_MARKER, { value: true });
+  return Object.freeze(orderedMap);
+}
+
+// Later duplicates overwrite the value but keep the position of the first occurrence.
+function orderedMapFromEntries(entries) {
+  const positions = new NativeMap();
+  const entryArray = [];
+  for (const [key, value] of entries) {
+    const index = positions.get(key);
+    if (index === undefined) {
+      positions.set(key, entryArray.length);
+      entryArray.push(Object.freeze([key, value]));
+    } else {
+      entryArray[index] = Object.freeze([key, value]);
+    }
+  }
+  return makeOrderedMap(mapFromEntries(Array.from(positions)), listFromArray(entryArray));
+}
+
+function orderedMapLookup(orderedMap, key) {
+  const index = mapLookup(orderedMap._map, key);
+  return index === NOT_SET ? NOT_SET : vectorGet(orderedMap._list, index)[1];
+}
+
+function orderedEntryArray(orderedMap) {
+  return vectorToArray(orderedMap._list).filter((entry) => entry !== undefined);
+}
+
+function orderedMapSet(orderedMap, key, value) {
+  const entryList = orderedMap._list;
+  const index = mapLookup(orderedMap._map, key);
+  if (index === NOT_SET) {
+    return makeOrderedMap(
+      mapSet(orderedMap._map, key, entryList._size),
+      listSet(entryList, entryList._size, Object.freeze([key, value])),
+    );
+  }
+  if (vectorGet(entryList, index)[1] === value) {
+    return orderedMap;
+  }
+  return makeOrderedMap(
+    orderedMap._map,
+    listSet(entryList, index, Object.freeze([key, value])),
+  );
+}
+
+function orderedMapDelete(orderedMap, key) {
+  const index = mapLookup(orderedMap._map, key);
+  if (index === NOT_SET) {
+    return orderedMap;
+  }
+  const positions = mapDelete(orderedMap._map, key);
+  const entryList =
+    index === orderedMap._list._size - 1
+      ? listPop(orderedMap._list)
+      : listSet(orderedMap._list, index, undefined);
+  if (entryList._size >= MIN_COMPACT_SIZE && positions._size * 2 < entryList._size) {
+    return orderedMapFromEntries(
+      vectorToArray(entryList).filter((entry) => entry !== undefined),
+    );
+  }
+  return makeOrderedMap(positions, entryList);
+}
+
+// --- Shared path helpers ---
+
+function lookup(collection, key) {
+  if (collection instanceof OrderedMap) {
+    return orderedMapLookup(collection, normalizeKey(key));
+  }
+  if (collection instanceof Map) {
+    return mapLookup(collection, normalizeKey(key));
+  }
+  if (
+    collection instanceof List &&
+    Number.isInteger(key) &&
+    key >= 0 &&
+    key < collection._size
+  ) {
+    return vectorGet(collection, key);
+  }
+  // Set members are their own keys, as with Set.get.
+  if (collection instanceof Set) {
+    return rootLookup(collection._root, key);
+  }
+  if (collection instanceof RecordBase) {
+    const index = collection.constructor._indexes.get(normalizeKey(key));
+    return index === undefined ? NOT_SET : collection._values[index];
   }
+  return NOT_SET;
+}
 
-  const mapData = {};
-  for (const key in jsValue) {
-    if (Object.prototype.hasOwnProperty.call(jsValue, key)) {
-      mapData[key] = fromJS(jsValue[key]);
+function getInPath(collection, path, defaultValue) {
+  let currentValue = collection;
+  for (let i = 0; i < path.length; i++) {
+    currentValue = lookup(currentValue, path[i]);
+    if (currentValue === NOT_SET) {
+      return defaultValue;
     }
   }
-  return new Map(mapData);
+  return currentValue;
 }
 
+/**
+ * A persistent map that iterates (and converts with toJS) in insertion order. Updating an existing key keeps
+ * its position; deleting and re-adding moves it to the end. Unlike OrderedMap, order is not part of equality.
+ */
 export class Map {
   constructor(data = {}) {
-    this._data = { ...data };
+    const entries = Object.keys(data).map((key) => [key, data[key]]);
+    this._root = rootFromEntries(entries);
+    this._size = entries.length;
     Object.defineProperty(this, IMMUTABLE_MARKER, { value: true });
-    Object.freeze(this._data);
     Object.freeze(this);
   }
 
+  /**
+   * A frozen plain-object snapshot of the entries, built on first access.
+   * Kept for backwards compatibility; prefer `get` and `toJS`.
+   * @returns {object}
+   */
+  get _data() {
+    let snapshot = dataSnapshots.get(this);
+    if (!snapshot) {
+      snapshot = {};
+      for (const [key, value] of mapEntryArray(this)) {
+        snapshot[key] = value;
+      }
+      Object.freeze(snapshot);
+      dataSnapshots.set(this, snapshot);
+    }
+    return snapshot;
+  }
+
   get(key, defaultValue) {
-    return Object.prototype.hasOwnProperty.call(this._data, key) ? this._data[key] : defaultValue;
+    const value = mapLookup(this, normalizeKey(key));
+    return value === NOT_SET ? defaultValue : value;
   }
 
   set(key, value) {
-    const newData = { ...this._data, [key]: fromJS(value) };
-    return new Map(newData);
+    return mapSet(this, normalizeKey(key), fromJS(value));
   }
 
   getIn(path, defaultValue) {
-    let currentValue = this;
-    for (let i = 0; i < path.length; i++) {
-      const key = path[i];
-      if (
-        currentValue instanceof Map &&
-        currentValue._data.hasOwnProperty(key)
-      ) {
-        currentValue = currentValue._data[key];
-      } else if (
-        currentValue instanceof List &&
-        Number.isInteger(key) &&
-        key >= 0 &&
-        key < currentValue._data.length
-      ) {
-        currentValue = currentValue._data[key];
-      } else {
-        return defaultValue;
-      }
-    }
-    return currentValue;
+    return getInPath(this, path, defaultValue);
   }
 
   setIn(path, value) {
@@ -110,111 +837,430 @@ export class Map {
     return this.setIn(path, updaterFn(currentValue));
   }
 
-  toJS() {
-    const plainObject = {};
-    for (const key in this._data) {
-      if (Object.prototype.hasOwnProperty.call(this._data, key)) {
-        const value = this._data[key];
-        // Check if the value has a toJS method (i.e., it's one of our immutable instances)
-        if (value && typeof value.toJS === "function") {
-          plainObject[key] = value.toJS();
-        } else {
-          plainObject[key] = value;
-        }
-      }
-    }
-    return plainObject;
+  /**
+   * The number of entries in the Map.
+   * @returns {number}
+   */
+  get size() {
+    return this._size;
   }
 
-  equals(other) {
-    if (this === other) return true;
-    if (!(other instanceof Map)) return false;
-    if (Object.keys(this._data).length !== Object.keys(other._data).length)
-      return false;
-
-    for (const key in this._data) {
-      if (!Object.prototype.hasOwnProperty.call(other._data, key)) return false;
-      const thisVal = this._data[key];
-      const otherVal = other._data[key];
-      if (isImmutable(thisVal) && isImmutable(otherVal)) {
-        if (!thisVal.equals(otherVal)) return false;
-      } else if (thisVal !== otherVal) {
-        return false;
-      }
+  has(key) {
+    return mapLookup(this, normalizeKey(key)) !== NOT_SET;
+  }
+
+  hasIn(path) {
+    let currentValue = this;
+    for (let i = 0; i < path.length; i++) {
+      currentValue = lookup(currentValue, path[i]);
+      if (currentValue === NOT_SET) return false;
     }
     return true;
   }
-}
 
-export class List {
-  constructor(data = []) {
-    this._data = [...data];
-    Object.defineProperty(this, IMMUTABLE_MARKER, { value: true });
-    Object.freeze(this._data);
-    Object.freeze(this);
+  delete(key) {
+    return mapDelete(this, normalizeKey(key));
   }
 
-  get(index, defaultValue) {
-    if (index >= 0 && index < this._data.length) {
-      return this._data[index];
-    }
-    return defaultValue;
+  remove(key) {
+    return this.delete(key);
   }
 
-  set(index, value) {
-    // Allow setting at index === this._data.length to append.
-    // For index > this._data.length, or index < 0, it returns the original list.
-    // This adjustment is crucial for setIn to be able to build nested Lists.
-    if (index < 0 || index > this._data.length) {
-      // console.warn(`List.set: Index ${index} out of bounds (length ${this._data.length})`);
-      return this; // Or throw error for stricter "set" that doesn't append
+  deleteIn(path) {
+    if (path.length === 0) {
+      throw new Error("Map.deleteIn requires a non-empty path.");
     }
-    const newData = [...this._data];
-    newData[index] = fromJS(value);
-    return new List(newData);
+    return deleteInPath(this, path);
   }
 
-  push(value) {
-    const newData = [...this._data, fromJS(value)];
-    return new List(newData);
+  /**
+   * Shallowly merges Maps or plain objects into this Map; later sources win.
+   * @param {...(Map|object)} sources - The collections to merge in.
+   * @returns {Map} The merged Map (this Map if nothing changed).
+   */
+  merge(...sources) {
+    let result = this;
+    for (const source of sources) {
+      for (const [key, value] of mergeSourceEntries(source)) {
+        result = result.set(key, value);
+      }
+    }
+    return result;
   }
 
-  delete(index) {
-    if (index < 0 || index >= this._data.length) {
-      return this; // Index out of bounds
+  /**
+   * Like merge, but nested Maps (or plain objects) are merged recursively.
+   * Any other value, including Lists, replaces the existing value.
+   * @param {...(Map|object)} sources - The collections to merge in.
+   * @returns {Map} The merged Map (this Map if nothing changed).
+   */
+  mergeDeep(...sources) {
+    let result = this;
+    for (const source of sources) {
+      for (const [key, value] of mergeSourceEntries(source)) {
+        const existing = result.get(key);
+        const incoming = fromJS(value);
+        result =
+          existing instanceof Map && incoming instanceof Map
+            ? result.set(key, existing.mergeDeep(incoming))
+            : result.set(key, incoming);
+      }
     }
-    const newData = [...this._data];
-    newData.splice(index, 1);
-    return new List(newData);
+    return result;
   }
 
-  update(index, updaterFn) {
-    const currentValue = this.get(index);
-    // If currentValue is undefined, the index is out of bounds.
-    if (currentValue === undefined) {
-      return this; // Return the original list without applying updaterFn.
+  *keys() {
+    for (const [key] of mapEntryArray(this)) yield key;
+  }
+
+  *values() {
+    for (const [, value] of mapEntryArray(this)) yield value;
+  }
+
+  *entries() {
+    yield* mapEntryArray(this);
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Calls fn(value, key, map) for every entry. Iteration stops early if fn returns false.
+   * @param {function(any, string, Map): any} fn - The side effect to run.
+   * @returns {number} The number of entries iterated.
+   */
+  forEach(fn) {
+    let iterations = 0;
+    for (const [key, value] of mapEntryArray(this)) {
+      iterations++;
+      if (fn(value, key, this) === false) break;
     }
-    return this.set(index, updaterFn(currentValue));
+    return iterations;
   }
 
-  getIn(path, defaultValue) {
-    let current = this;
-    for (let i = 0; i < path.length; i++) {
-      const key = path[i];
-      if (current instanceof Map && current._data.hasOwnProperty(key)) {
-        current = current._data[key];
-      } else if (
-        current instanceof List &&
-        Number.isInteger(key) &&
-        key >= 0 &&
-        key < current._data.length
-      ) {
-        current = current._data[key];
+  /**
+   * Returns a new Map with the same keys and values produced by fn(value, key, map).
+   * @param {function(any, string, Map): any} fn - The mapper.
+   * @returns {Map}
+   */
+  map(fn) {
+    return mapFromEntries(
+      mapEntryArray(this).map(([key, value]) => [key, fromJS(fn(value, key, this))]),
+    );
+  }
+
+  /**
+   * Returns a new Map with only the entries for which predicate(value, key, map) is truthy.
+   * @param {function(any, string, Map): boolean} predicate - The filter.
+   * @returns {Map} The filtered Map (this Map if every entry is kept).
+   */
+  filter(predicate) {
+    const entries = mapEntryArray(this);
+    const kept = entries.filter(([key, value]) => predicate(value, key, this));
+    return kept.length === entries.length ? this : mapFromEntries(kept);
+  }
+
+  toJS() {
+    const plainObject = {};
+    for (const [key, value] of mapEntryArray(this)) {
+      // Check if the value has a toJS method (i.e., it's one of our immutable instances)
+      if (value && typeof value.toJS === "function") {
+        plainObject[key] = value.toJS();
       } else {
-        return defaultValue;
+        plainObject[key] = value;
       }
     }
-    return current;
+    return plainObject;
+  }
+
+  /**
+   * Returns a 32-bit hash of the entries, computed once and cached.
+   * Equal maps always have equal hash codes.
+   * @returns {number}
+   */
+  hashCode() {
+    let hash = hashCodes.get(this);
+    if (hash === undefined) {
+      hash = 0;
+      hamtForEach(this._root, (value, key) => {
+        hash = (hash + mapEntryHash(key, value)) | 0;
+      });
+      hashCodes.set(this, hash);
+    }
+    return hash;
+  }
+
+  /**
+   * Returns an OrderedMap with the same entries, in this Map's iteration order.
+   * @returns {OrderedMap}
+   */
+  toOrderedMap() {
+    return orderedMapFromEntries(mapEntryArray(this));
+  }
+
+  equals(other) {
+    if (this === other) return true;
+    // An OrderedMap is a Map, but its order is part of its value.
+    if (!(other instanceof Map) || other instanceof OrderedMap) return false;
+    if (this._size !== other._size) return false;
+    if (this._root === other._root) return true;
+    if (this.hashCode() !== other.hashCode()) return false;
+
+    let equal = true;
+    hamtForEach(this._root, (value, key) => {
+      if (!equal) return;
+      const otherValue = mapLookup(other, key);
+      equal = otherValue !== NOT_SET && valuesEqual(value, otherValue);
+    });
+    return equal;
+  }
+}
+
+export class List {
+  constructor(data = []) {
+    const { root, shift } = vectorFromArray(data);
+    this._root = root;
+    this._shift = shift;
+    this._size = data.length;
+    Object.defineProperty(this, IMMUTABLE_MARKER, { value: true });
+    Object.freeze(this);
+  }
+
+  /**
+   * A frozen array snapshot of the elements, built on first access.
+   * Kept for backwards compatibility; prefer `get` and `toJS`.
+   * @returns {Array}
+   */
+  get _data() {
+    let snapshot = dataSnapshots.get(this);
+    if (!snapshot) {
+      snapshot = Object.freeze(vectorToArray(this));
+      dataSnapshots.set(this, snapshot);
+    }
+    return snapshot;
+  }
+
+  get(index, defaultValue) {
+    if (Number.isInteger(index) && index >= 0 && index < this._size) {
+      return vectorGet(this, index);
+    }
+    return defaultValue;
+  }
+
+  set(index, value) {
+    // Allow setting at index === size to append.
+    // For index > size, or index < 0, it returns the original list.
+    // This adjustment is crucial for setIn to be able to build nested Lists.
+    if (!Number.isInteger(index) || index < 0 || index > this._size) {
+      return this; // Or throw error for stricter "set" that doesn't append
+    }
+    return listSet(this, index, fromJS(value));
+  }
+
+  push(value) {
+    return listSet(this, this._size, fromJS(value));
+  }
+
+  delete(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this._size) {
+      return this; // Index out of bounds
+    }
+    const newData = vectorToArray(this);
+    newData.splice(index, 1);
+    return listFromArray(newData);
+  }
+
+  /**
+   * The number of elements in the List.
+   * @returns {number}
+   */
+  get size() {
+    return this._size;
+  }
+
+  first(notSetValue) {
+    return this.get(0, notSetValue);
+  }
+
+  last(notSetValue) {
+    return this.get(this._size - 1, notSetValue);
+  }
+
+  /**
+   * Returns a new List with value inserted at index; later elements shift right.
+   * @param {number} index - The insertion index (negative counts from the end).
+   * @param {any} value - The value to insert.
+   * @returns {List}
+   */
+  insert(index, value) {
+    return this.splice(index, 0, value);
+  }
+
+  unshift(...values) {
+    return values.length === 0 ? this : this.splice(0, 0, ...values);
+  }
+
+  /**
+   * Returns a new List without the last element (not the removed element).
+   * @returns {List}
+   */
+  pop() {
+    return listPop(this);
+  }
+
+  /**
+   * Returns a new List without the first element (not the removed element).
+   * @returns {List}
+   */
+  shift() {
+    return this.delete(0);
+  }
+
+  /**
+   * Like Array.prototype.splice, but returns the new List rather than the removed elements.
+   * @param {number} index - Where to start changing the List (negative counts from the end).
+   * @param {number} [removeCount] - How many elements to remove (defaults to the rest of the List).
+   * @param {...any} values - Values to insert at index.
+   * @returns {List}
+   */
+  splice(index, removeCount, ...values) {
+    const start = resolveIndex(index, this._size, 0);
+    const count =
+      removeCount === undefined
+        ? this._size - start
+        : Math.max(Math.trunc(Number(removeCount)) || 0, 0);
+    if (values.length === 0 && (count === 0 || start >= this._size)) {
+      return this;
+    }
+    const newData = vectorToArray(this);
+    newData.splice(start, count, ...values.map((value) => fromJS(value)));
+    return listFromArray(newData);
+  }
+
+  slice(begin, end) {
+    const start = resolveIndex(begin, this._size, 0);
+    const stop = resolveIndex(end, this._size, this._size);
+    if (start === 0 && stop === this._size) {
+      return this;
+    }
+    return listFromArray(vectorToArray(this).slice(start, Math.max(start, stop)));
+  }
+
+  /**
+   * Returns a new List with the given Lists, arrays or single values appended.
+   * @param {...any} values - Lists, arrays or values to append.
+   * @returns {List}
+   */
+  concat(...values) {
+    const appended = [];
+    for (const value of values) {
+      if (value instanceof List) appended.push(...vectorToArray(value));
+      else if (Array.isArray(value)) appended.push(...value.map((element) => fromJS(element)));
+      else appended.push(fromJS(value));
+    }
+    return appended.length === 0
+      ? this
+      : listFromArray(vectorToArray(this).concat(appended));
+  }
+
+  *[Symbol.iterator]() {
+    yield* vectorToArray(this);
+  }
+
+  /**
+   * Calls fn(value, index, list) for every element. Iteration stops early if fn returns false.
+   * @param {function(any, number, List): any} fn - The side effect to run.
+   * @returns {number} The number of elements iterated.
+   */
+  forEach(fn) {
+    const values = vectorToArray(this);
+    let iterations = 0;
+    for (let i = 0; i < values.length; i++) {
+      iterations++;
+      if (fn(values[i], i, this) === false) break;
+    }
+    return iterations;
+  }
+
+  map(fn) {
+    return listFromArray(
+      vectorToArray(this).map((value, index) => fromJS(fn(value, index, this))),
+    );
+  }
+
+  filter(predicate) {
+    const values = vectorToArray(this);
+    const kept = values.filter((value, index) => predicate(value, index, this));
+    return kept.length === values.length ? this : listFromArray(kept);
+  }
+
+  reduce(reducer, ...initialValue) {
+    return vectorToArray(this).reduce(
+      (accumulator, value, index) => reducer(accumulator, value, index, this),
+      ...initialValue,
+    );
+  }
+
+  find(predicate, notSetValue) {
+    const index = this.findIndex(predicate);
+    return index === -1 ? notSetValue : vectorGet(this, index);
+  }
+
+  findIndex(predicate) {
+    return vectorToArray(this).findIndex((value, index) =>
+      predicate(value, index, this),
+    );
+  }
+
+  /**
+   * Finds the first index of value, comparing immutable collections by value.
+   * @param {any} value - The value to look for.
+   * @returns {number} The index, or -1 if not found.
+   */
+  indexOf(value) {
+    return vectorToArray(this).findIndex((element) => valuesEqual(element, value));
+  }
+
+  includes(value) {
+    return this.indexOf(value) !== -1;
+  }
+
+  /**
+   * Returns a new, stably sorted List.
+   * @param {function(any, any): number} [comparator] - Defaults to ordering by `<` and `>`.
+   * @returns {List}
+   */
+  sort(comparator = defaultComparator) {
+    return listFromArray(vectorToArray(this).sort(comparator));
+  }
+
+  /**
+   * Returns a new List sorted by the values that mapper(value, index, list) produces.
+   * @param {function(any, number, List): any} mapper - Produces the sort key.
+   * @param {function(any, any): number} [comparator] - Compares sort keys.
+   * @returns {List}
+   */
+  sortBy(mapper, comparator = defaultComparator) {
+    return listFromArray(
+      vectorToArray(this)
+        .map((value, index) => ({ value, sortKey: mapper(value, index, this) }))
+        .sort((a, b) => comparator(a.sortKey, b.sortKey))
+        .map((entry) => entry.value),
+    );
+  }
+
+  update(index, updaterFn) {
+    const currentValue = this.get(index);
+    // If currentValue is undefined, the index is out of bounds.
+    if (currentValue === undefined) {
+      return this; // Return the original list without applying updaterFn.
+    }
+    return this.set(index, updaterFn(currentValue));
+  }
+
+  getIn(path, defaultValue) {
+    return getInPath(this, path, defaultValue);
   }
 
   setIn(path, value) {
@@ -261,8 +1307,16 @@ export class List {
     return this.setIn(path, updaterFn(currentValue));
   }
 
+  /**
+   * Returns a Set of the elements; duplicates (by value) are dropped.
+   * @returns {Set}
+   */
+  toSet() {
+    return setFromValues(vectorToArray(this));
+  }
+
   toJS() {
-    return this._data.map((value) => {
+    return vectorToArray(this).map((value) => {
       if (isImmutable(value)) {
         return value.toJS();
       }
@@ -270,20 +1324,627 @@ export class List {
     });
   }
 
+  /**
+   * Returns a 32-bit, order-sensitive hash of the elements, computed once and cached.
+   * Equal lists always have equal hash codes.
+   * @returns {number}
+   */
+  hashCode() {
+    let hash = hashCodes.get(this);
+    if (hash === undefined) {
+      hash = 0;
+      vectorToArray(this).forEach((value, index) => {
+        hash = (hash + mixHash(index, hashValue(value))) | 0;
+      });
+      hashCodes.set(this, hash);
+    }
+    return hash;
+  }
+
   equals(other) {
     if (this === other) return true;
     if (!(other instanceof List)) return false;
-    if (this._data.length !== other._data.length) return false;
-
-    for (let i = 0; i < this._data.length; i++) {
-      const thisVal = this._data[i];
-      const otherVal = other._data[i];
-      if (isImmutable(thisVal) && isImmutable(otherVal)) {
-        if (!thisVal.equals(otherVal)) return false;
-      } else if (thisVal !== otherVal) {
-        return false;
-      }
+    if (this._size !== other._size) return false;
+    if (this._root === other._root) return true;
+    if (this.hashCode() !== other.hashCode()) return false;
+
+    const thisValues = vectorToArray(this);
+    const otherValues = vectorToArray(other);
+    for (let i = 0; i < thisValues.length; i++) {
+      if (!valuesEqual(thisValues[i], otherValues[i])) return false;
     }
     return true;
   }
 }
+
+/**
+ * An immutable, value-based set. Members that are immutable collections are compared
+ * with `equals`; everything else by identity (or by value for primitives).
+ */
+export class Set {
+  constructor(values = []) {
+    const { root, size } = setRootFromValues(values);
+    this._root = root;
+    this._size = size;
+    Object.defineProperty(this, IMMUTABLE_MARKER, { value: true });
+    Object.freeze(this);
+  }
+
+  /**
+   * A frozen array snapshot of the members, built on first access.
+   * @returns {Array}
+   */
+  get _data() {
+    let snapshot = dataSnapshots.get(this);
+    if (!snapshot) {
+      snapshot = Object.freeze(setValueArray(this));
+      dataSnapshots.set(this, snapshot);
+    }
+    return snapshot;
+  }
+
+  /**
+   * The number of members in the Set.
+   * @returns {number}
+   */
+  get size() {
+    return this._size;
+  }
+
+  has(value) {
+    return rootLookup(this._root, value) !== NOT_SET;
+  }
+
+  /**
+   * Returns the stored member equal to value, or notSetValue if there is none.
+   * @param {any} value - The value to look up.
+   * @param {any} [notSetValue] - Returned when value is not a member.
+   * @returns {any}
+   */
+  get(value, notSetValue) {
+    const member = rootLookup(this._root, value);
+    return member === NOT_SET ? notSetValue : member;
+  }
+
+  add(value) {
+    return setAdd(this, fromJS(value));
+  }
+
+  delete(value) {
+    return setDelete(this, value);
+  }
+
+  remove(value) {
+    return this.delete(value);
+  }
+
+  /**
+   * Returns a Set containing the members of this Set and of every operand.
+   * @param {...Iterable} others - Sets, Lists, arrays or other iterables.
+   * @returns {Set} The union (this Set if nothing was added).
+   */
+  union(...others) {
+    let result = this;
+    for (const other of others) {
+      for (const value of setOperandValues(other, "union")) {
+        result = setAdd(result, value);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns a Set containing only the members that are also in every operand.
+   * @param {...Iterable} others - Sets, Lists, arrays or other iterables.
+   * @returns {Set} The intersection (this Set if nothing was removed).
+   */
+  intersect(...others) {
+    const operands = others.map((other) =>
+      other instanceof Set ? other : setFromValues(setOperandValues(other, "intersect")),
+    );
+    return this.filter((value) => operands.every((operand) => operand.has(value)));
+  }
+
+  /**
+   * Returns a Set without the members that appear in any operand.
+   * @param {...Iterable} others - Sets, Lists, arrays or other iterables.
+   * @returns {Set} The difference (this Set if nothing was removed).
+   */
+  subtract(...others) {
+    let result = this;
+    for (const other of others) {
+      for (const value of setOperandValues(other, "subtract")) {
+        result = setDelete(result, value);
+      }
+    }
+    return result;
+  }
+
+  getIn(path, defaultValue) {
+    return getInPath(this, path, defaultValue);
+  }
+
+  *values() {
+    yield* setValueArray(this);
+  }
+
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  /**
+   * Calls fn(value, value, set) for every member. Iteration stops early if fn returns false.
+   * @param {function(any, any, Set): any} fn - The side effect to run.
+   * @returns {number} The number of members iterated.
+   */
+  forEach(fn) {
+    let iterations = 0;
+    for (const value of setValueArray(this)) {
+      iterations++;
+      if (fn(value, value, this) === false) break;
+    }
+    return iterations;
+  }
+
+  map(fn) {
+    return setFromValues(setValueArray(this).map((value) => fromJS(fn(value, value, this))));
+  }
+
+  filter(predicate) {
+    const values = setValueArray(this);
+    const kept = values.filter((value) => predicate(value, value, this));
+    return kept.length === values.length ? this : setFromValues(kept);
+  }
+
+  toList() {
+    return listFromArray(setValueArray(this));
+  }
+
+  /**
+   * Converts the Set to a plain array, deeply converting nested collections.
+   * @returns {Array}
+   */
+  toJS() {
+    return setValueArray(this).map((value) => (isImmutable(value) ? value.toJS() : value));
+  }
+
+  /**
+   * Returns a 32-bit, order-insensitive hash of the members, computed once and cached.
+   * @returns {number}
+   */
+  hashCode() {
+    let hash = hashCodes.get(this);
+    if (hash === undefined) {
+      hash = 0;
+      hamtForEach(this._root, (value) => {
+        hash = (hash + hashValue(value)) | 0;
+      });
+      hashCodes.set(this, hash);
+    }
+    return hash;
+  }
+
+  equals(other) {
+    if (this === other) return true;
+    if (!(other instanceof Set)) return false;
+    if (this._size !== other._size) return false;
+    if (this._root === other._root) return true;
+    if (this.hashCode() !== other.hashCode()) return false;
+    return setValueArray(this).every((value) => other.has(value));
+  }
+}
+
+/**
+ * A Map that iterates (and serializes) its entries in insertion order.
+ * Updating an existing key keeps its position; deleting and re-adding moves it to the end.
+ * Two OrderedMaps are only equal if their entries are equal and in the same order.
+ */
+export class OrderedMap extends Map {
+  constructor(data = {}) {
+    // Not built through Map's constructor, which would freeze an instance without our fields.
+    return orderedMapFromEntries(Object.keys(data).map((key) => [key, data[key]]));
+  }
+
+  /**
+   * A frozen plain-object snapshot of the entries, built on first access.
+   * @returns {object}
+   */
+  get _data() {
+    let snapshot = dataSnapshots.get(this);
+    if (!snapshot) {
+      snapshot = {};
+      for (const [key, value] of orderedEntryArray(this)) {
+        snapshot[key] = value;
+      }
+      Object.freeze(snapshot);
+      dataSnapshots.set(this, snapshot);
+    }
+    return snapshot;
+  }
+
+  get size() {
+    return this._map._size;
+  }
+
+  get(key, defaultValue) {
+    const value = orderedMapLookup(this, normalizeKey(key));
+    return value === NOT_SET ? defaultValue : value;
+  }
+
+  set(key, value) {
+    return orderedMapSet(this, normalizeKey(key), fromJS(value));
+  }
+
+  has(key) {
+    return this._map.has(key);
+  }
+
+  delete(key) {
+    return orderedMapDelete(this, normalizeKey(key));
+  }
+
+  *keys() {
+    for (const [key] of orderedEntryArray(this)) yield key;
+  }
+
+  *values() {
+    for (const [, value] of orderedEntryArray(this)) yield value;
+  }
+
+  *entries() {
+    for (const [key, value] of orderedEntryArray(this)) yield [key, value];
+  }
+
+  forEach(fn) {
+    let iterations = 0;
+    for (const [key, value] of orderedEntryArray(this)) {
+      iterations++;
+      if (fn(value, key, this) === false) break;
+    }
+    return iterations;
+  }
+
+  map(fn) {
+    return orderedMapFromEntries(
+      orderedEntryArray(this).map(([key, value]) => [key, fromJS(fn(value, key, this))]),
+    );
+  }
+
+  filter(predicate) {
+    const entries = orderedEntryArray(this);
+    const kept = entries.filter(([key, value]) => predicate(value, key, this));
+    return kept.length === entries.length ? this : orderedMapFromEntries(kept);
+  }
+
+  toOrderedMap() {
+    return this;
+  }
+
+  /**
+   * Returns a plain (unordered) Map with the same entries.
+   * @returns {Map}
+   */
+  toMap() {
+    return mapFromEntries(orderedEntryArray(this));
+  }
+
+  toJS() {
+    const plainObject = {};
+    for (const [key, value] of orderedEntryArray(this)) {
+      plainObject[key] = isImmutable(value) ? value.toJS() : value;
+    }
+    return plainObject;
+  }
+
+  /**
+   * Returns a 32-bit, order-sensitive hash of the entries, computed once and cached.
+   * @returns {number}
+   */
+  hashCode() {
+    let hash = hashCodes.get(this);
+    if (hash === undefined) {
+      hash = 0;
+      for (const [key, value] of orderedEntryArray(this)) {
+        hash = mixHash(hash, mapEntryHash(key, value));
+      }
+      hashCodes.set(this, hash);
+    }
+    return hash;
+  }
+
+  equals(other) {
+    if (this === other) return true;
+    if (!(other instanceof OrderedMap)) return false;
+    if (this.size !== other.size) return false;
+    if (this.hashCode() !== other.hashCode()) return false;
+
+    const thisEntries = orderedEntryArray(this);
+    const otherEntries = orderedEntryArray(other);
+    return thisEntries.every(
+      ([key, value], i) =>
+        key === otherEntries[i][0] && valuesEqual(value, otherEntries[i][1]),
+    );
+  }
+}
+
+// --- Records: fixed-shape collections with defaults ---
+
+function makeRecord(RecordType, values) {
+  const record = Object.create(RecordType.prototype);
+  record._values = Object.freeze(values);
+  Object.defineProperty(record, IMMUTABLE_MARKER, { value: true });
+  return Object.freeze(record);
+}
+
+function recordIndex(record, key, action) {
+  const RecordType = record.constructor;
+  const index = RecordType._indexes.get(normalizeKey(key));
+  if (index === undefined) {
+    throw new Error(`Cannot ${action} unknown key "${String(key)}" on ${RecordType.displayName}.`);
+  }
+  return index;
+}
+
+// Accepts a plain object, a keyed collection or a Record as the source of Record values.
+function recordSourceEntries(source, displayName) {
+  if (source instanceof Map || source instanceof RecordBase) {
+    return Array.from(source.entries());
+  }
+  if (
+    source === null ||
+    typeof source !== "object" ||
+    Array.isArray(source) ||
+    isImmutable(source)
+  ) {
+    throw new Error(`${displayName} expects a plain object, a Map or a Record of values.`);
+  }
+  return Object.keys(source).map((key) => [key, source[key]]);
+}
+
+function recordWithEntries(record, entries) {
+  let values = null;
+  for (const [key, value] of entries) {
+    const index = recordIndex(record, key, "set");
+    const converted = fromJS(value);
+    if ((values || record._values)[index] !== converted) {
+      values = values || record._values.slice();
+      values[index] = converted;
+    }
+  }
+  return values ? makeRecord(record.constructor, values) : record;
+}
+
+/**
+ * Shared behavior of every Record type; use `Record(defaults)` to declare one.
+ * Not exported: `Record.isRecord(value)` is the public check.
+ */
+class RecordBase {
+  /**
+   * A frozen plain-object snapshot of the values, built on first access.
+   * @returns {object}
+   */
+  get _data() {
+    let snapshot = dataSnapshots.get(this);
+    if (!snapshot) {
+      snapshot = Object.freeze(Object.fromEntries(this.entries()));
+      dataSnapshots.set(this, snapshot);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Returns the value for key, or notSetValue if key is not part of the Record's shape.
+   * @param {string} key - The key to read.
+   * @param {any} [notSetValue] - Returned for unknown keys.
+   * @returns {any}
+   */
+  get(key, notSetValue) {
+    const value = lookup(this, key);
+    return value === NOT_SET ? notSetValue : value;
+  }
+
+  has(key) {
+    return this.constructor._indexes.has(normalizeKey(key));
+  }
+
+  /**
+   * Returns a new Record with key set to value. Throws if key is not part of the shape.
+   * @param {string} key - A declared key.
+   * @param {any} value - The new value (converted with fromJS).
+   * @returns {RecordBase}
+   */
+  set(key, value) {
+    return recordWithEntries(this, [[key, value]]);
+  }
+
+  /**
+   * Returns a new Record with key reset to its default value.
+   * @param {string} key - A declared key.
+   * @returns {RecordBase}
+   */
+  delete(key) {
+    const index = recordIndex(this, key, "delete");
+    return this.set(key, this.constructor._defaults[index]);
+  }
+
+  remove(key) {
+    return this.delete(key);
+  }
+
+  /**
+   * Like set, for every entry of the given plain objects, Maps or Records.
+   * @param {...(object|Map|RecordBase)} sources - The values to merge in.
+   * @returns {RecordBase}
+   */
+  merge(...sources) {
+    let result = this;
+    for (const source of sources) {
+      result = recordWithEntries(
+        result,
+        recordSourceEntries(source, this.constructor.displayName),
+      );
+    }
+    return result;
+  }
+
+  update(key, updaterFn) {
+    return this.set(key, updaterFn(this.get(key)));
+  }
+
+  getIn(path, defaultValue) {
+    return getInPath(this, path, defaultValue);
+  }
+
+  hasIn(path) {
+    return getInPath(this, path, NOT_SET) !== NOT_SET;
+  }
+
+  setIn(path, value) {
+    if (path.length === 0) {
+      return fromJS(value);
+    }
+    const key = path[0];
+    if (path.length === 1) {
+      return this.set(key, value);
+    }
+    const currentValue = this.get(key);
+    if (isImmutable(currentValue)) {
+      return this.set(key, currentValue.setIn(path.slice(1), value));
+    }
+    const branch = typeof path[1] === "number" ? new List() : new Map();
+    return this.set(key, branch.setIn(path.slice(1), value));
+  }
+
+  updateIn(path, updaterFn) {
+    if (path.length === 0) {
+      return updaterFn(this);
+    }
+    return this.setIn(path, updaterFn(this.getIn(path)));
+  }
+
+  deleteIn(path) {
+    if (path.length === 0) {
+      throw new Error("Record.deleteIn requires a non-empty path.");
+    }
+    return deleteInPath(this, path);
+  }
+
+  *keys() {
+    yield* this.constructor._keys;
+  }
+
+  *values() {
+    yield* this._values;
+  }
+
+  *entries() {
+    const keys = this.constructor._keys;
+    for (let i = 0; i < keys.length; i++) yield [keys[i], this._values[i]];
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Converts the Record to a plain object with every declared key, deeply converting nested collections.
+   * @returns {object}
+   */
+  toJS() {
+    const plainObject = {};
+    for (const [key, value] of this.entries()) {
+      plainObject[key] = isImmutable(value) ? value.toJS() : value;
+    }
+    return plainObject;
+  }
+
+  hashCode() {
+    let hash = hashCodes.get(this);
+    if (hash === undefined) {
+      hash = 0;
+      for (const [key, value] of this.entries()) {
+        hash = mixHash(hash, mapEntryHash(key, value));
+      }
+      hashCodes.set(this, hash);
+    }
+    return hash;
+  }
+
+  /**
+   * Records are equal when they come from the same Record type and hold equal values.
+   * @param {any} other - The value to compare with.
+   * @returns {boolean}
+   */
+  equals(other) {
+    if (this === other) return true;
+    if (!(other instanceof RecordBase) || other.constructor !== this.constructor) return false;
+    if (this.hashCode() !== other.hashCode()) return false;
+    return this._values.every((value, i) => valuesEqual(value, other._values[i]));
+  }
+}
+
+/**
+ * Declares a Record type: an immutable collection with a fixed set of keys and default values.
+ * Values can be read with `get` or as properties (`record.count`), and `set` throws on unknown
+ * keys, which catches typos that a Map would silently turn into new keys.
+ *
+ * @example
+ * const Counter = Record({ count: 0, step: 1 }, "Counter");
+ * const counter = Counter({ step: 2 }); // `new Counter(...)` works too
+ * counter.count; // 0
+ * counter.set("countr", 1); // throws
+ *
+ * @param {object} defaultValues - The declared keys and their default values (converted with fromJS).
+ * @param {string} [name="Record"] - Used in error messages.
+ * @returns {function(object=): RecordBase} The Record type, callable with or without `new`.
+ */
+export function Record(defaultValues, name = "Record") {
+  if (
+    defaultValues === null ||
+    typeof defaultValues !== "object" ||
+    Array.isArray(defaultValues) ||
+    isImmutable(defaultValues)
+  ) {
+    throw new Error("Record expects a plain object of default values.");
+  }
+
+  const keys = Object.keys(defaultValues);
+  const defaults = keys.map((key) => fromJS(defaultValues[key]));
+
+  function RecordType(values) {
+    if (values instanceof RecordType) {
+      return values;
+    }
+    const record = makeRecord(RecordType, defaults.slice());
+    return values === undefined
+      ? record
+      : recordWithEntries(record, recordSourceEntries(values, RecordType.displayName));
+  }
+
+  RecordType.prototype = Object.create(RecordBase.prototype, {
+    constructor: { value: RecordType },
+  });
+  keys.forEach((key, index) => {
+    if (key in RecordBase.prototype) {
+      throw new Error(`Record key "${key}" conflicts with a Record method name.`);
+    }
+    Object.defineProperty(RecordType.prototype, key, {
+      get() {
+        return this._values[index];
+      },
+    });
+  });
+
+  RecordType.displayName = name;
+  RecordType._keys = Object.freeze(keys);
+  RecordType._defaults = Object.freeze(defaults);
+  RecordType._indexes = new NativeMap(keys.map((key, index) => [key, index]));
+  return RecordType;
+}
+
+/**
+ * Checks whether a value is an instance of any Record type.
+ * @param {any} value - The value to check.
+ * @returns {boolean}
+ */
+Record.isRecord = (value) => value instanceof RecordBase;
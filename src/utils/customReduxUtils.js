@@ -1,13 +1,12 @@
 // src/utils/customReduxUtils.js
 
-// It's useful to have these available if reducers or initial state use them,
-// though createStore itself doesn't strictly need to know about their internals,
-// it just passes state around.
-// import { isImmutable, fromJS } from './customImmutableUtils.js'; // Not strictly needed for createStore logic itself unless we enforce state type here
+// createStore itself doesn't need to know about the immutable types, it just passes state around.
+// combineReducers builds and validates the custom Map that holds the combined slices.
+import { Map, isImmutable } from "./customImmutableUtils.js";
 
 const ActionTypes = {
   INIT: "@@redux/INIT",
-  REPLACE: "@@redux/REPLACE", // Not implementing replaceReducer in this version
+  REPLACE: "@@redux/REPLACE",
 };
 
 export function createStore(reducer, initialState, enhancer) {
@@ -118,6 +117,17 @@ export function createStore(reducer, initialState, enhancer) {
     return action;
   }
 
+  function replaceReducer(nextReducer) {
+    if (typeof nextReducer !== "function") {
+      throw new Error("Expected the nextReducer to be a function.");
+    }
+
+    currentReducer = nextReducer;
+
+    // Like INIT, this lets every (new) reducer populate its slice of the state tree.
+    dispatch({ type: ActionTypes.REPLACE });
+  }
+
   // When a store is created, an "INIT" action is dispatched so that every
   // reducer returns their initial state. This effectively populates
   // the initial state tree.
@@ -129,6 +139,114 @@ export function createStore(reducer, initialState, enhancer) {
     dispatch,
     subscribe,
     getState,
-    // replaceReducer could be added here if needed
+    replaceReducer,
+  };
+}
+
+/**
+ * Describes an action for error messages.
+ * @param {object} action - The action being handled.
+ * @returns {string} A short, human-readable description of the action.
+ */
+function describeAction(action) {
+  return action && action.type !== undefined
+    ? `action "${String(action.type)}"`
+    : "an action";
+}
+
+/**
+ * Turns an object whose values are slice reducers into a single reducer that
+ * manages a custom immutable `Map` keyed by the same names.
+ *
+ * - Each slice reducer receives only its own slice of the state.
+ * - If no slice changes, the previous state is returned as-is, so reference checks keep working.
+ * - Keys in the incoming state without a matching reducer are reported once via console.warn and dropped.
+ * - Throws, naming the slice, if a slice reducer returns undefined or a non-immutable value.
+ *
+ * @param {object} reducers - An object whose values are slice reducer functions.
+ * @returns {function(Map | undefined, object): Map} A reducer that returns a custom immutable Map.
+ */
+export function combineReducers(reducers) {
+  const finalReducers = {};
+  for (const key of Object.keys(reducers || {})) {
+    if (typeof reducers[key] === "function") {
+      finalReducers[key] = reducers[key];
+    } else {
+      console.warn(`No reducer provided for key "${key}".`);
+    }
+  }
+  const finalReducerKeys = Object.keys(finalReducers);
+
+  if (finalReducerKeys.length === 0) {
+    console.warn(
+      "combineReducers received no valid reducers. Make sure the argument is an object whose values are reducers.",
+    );
+  }
+
+  // Every slice reducer must produce an initial state when given undefined.
+  for (const key of finalReducerKeys) {
+    const initialSliceState = finalReducers[key](undefined, {
+      type: ActionTypes.INIT,
+    });
+    if (initialSliceState === undefined) {
+      throw new Error(
+        `Reducer "${key}" returned undefined during initialization. ` +
+          "If the state passed to the reducer is undefined, you must explicitly return the initial state.",
+      );
+    }
+  }
+
+  const warnedUnexpectedKeys = new Set();
+
+  return function combination(state, action) {
+    if (state !== undefined && !(state instanceof Map)) {
+      throw new Error(
+        "The state passed to a combined reducer must be a custom immutable Map or undefined.",
+      );
+    }
+
+    const stateKeys = state ? [...state.keys()] : [];
+    // Keys left over from an ejected reducer are expected to disappear on REPLACE.
+    const unexpectedKeys =
+      action && action.type === ActionTypes.REPLACE
+        ? []
+        : stateKeys.filter(
+            (key) =>
+              !Object.prototype.hasOwnProperty.call(finalReducers, key) &&
+              !warnedUnexpectedKeys.has(key),
+          );
+    if (unexpectedKeys.length > 0) {
+      unexpectedKeys.forEach((key) => warnedUnexpectedKeys.add(key));
+      console.warn(
+        `Unexpected ${unexpectedKeys.length > 1 ? "keys" : "key"} ` +
+          `${unexpectedKeys.map((key) => `"${key}"`).join(", ")} found in the state passed to combineReducers. ` +
+          `Expected to find one of the known reducer keys: ${finalReducerKeys.map((key) => `"${key}"`).join(", ")}. ` +
+          "Unexpected keys will be ignored.",
+      );
+    }
+
+    let hasChanged = false;
+    const nextData = {};
+    for (const key of finalReducerKeys) {
+      const previousSliceState = state ? state.get(key) : undefined;
+      const nextSliceState = finalReducers[key](previousSliceState, action);
+      if (nextSliceState === undefined) {
+        throw new Error(
+          `Reducer "${key}" returned undefined when handling ${describeAction(action)}. ` +
+            "To ignore an action, you must explicitly return the previous state.",
+        );
+      }
+      if (!isImmutable(nextSliceState)) {
+        throw new Error(
+          `Reducer "${key}" returned a non-immutable value when handling ${describeAction(action)}. ` +
+            "Slice reducers must return an Immutable.js structure.",
+        );
+      }
+      nextData[key] = nextSliceState;
+      hasChanged = hasChanged || nextSliceState !== previousSliceState;
+    }
+    hasChanged = hasChanged || finalReducerKeys.length !== stateKeys.length;
+
+    return hasChanged || state === undefined ? new Map(nextData) : state;
   };
 }
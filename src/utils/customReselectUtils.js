@@ -0,0 +1,107 @@
+// src/utils/customReselectUtils.js
+
+import { isImmutable } from "./customImmutableUtils.js";
+
+/**
+ * Reference equality, the default input comparison for createSelector.
+ * @param {any} a - The previous value.
+ * @param {any} b - The next value.
+ * @returns {boolean} True if both values are the same reference (or equal primitives).
+ */
+export function defaultEquals(a, b) {
+  return a === b;
+}
+
+/**
+ * Value equality for the custom immutable collections.
+ * Falls back to reference equality when either value is not immutable.
+ * @param {any} a - The previous value.
+ * @param {any} b - The next value.
+ * @returns {boolean} True if both values are identical or structurally equal immutable collections.
+ */
+export function immutableEquals(a, b) {
+  if (a === b) return true;
+  if (isImmutable(a) && isImmutable(b)) return a.equals(b);
+  return false;
+}
+
+/**
+ * Creates a memoized selector.
+ *
+ * Every argument passed to the selector (usually `state`, plus any parameters such as an id)
+ * is forwarded to each input selector. The result function only re-runs when one of the
+ * input selector results differs from a cached entry, as decided by `options.equals`.
+ *
+ * @template R
+ * @param {function | function[]} inputSelectors - One input selector or an array of them.
+ * @param {function(...any): R} resultFn - Receives the input selector results and computes the output.
+ * @param {object} [options] - Memoization options.
+ * @param {function(any, any): boolean} [options.equals=defaultEquals] - Compares input selector results.
+ *                                                                     Pass `immutableEquals` to compare custom
+ *                                                                     Map/List inputs by value.
+ * @param {number} [options.cacheSize=1] - How many input combinations to remember (least recently used
+ *                                         entries are evicted). Raise it for parametrized selectors that are
+ *                                         called with several different parameters.
+ * @returns {function(...any): R} The memoized selector, with `recomputations()`, `resetRecomputations()`
+ *                                and `clearCache()` helpers attached.
+ */
+export function createSelector(inputSelectors, resultFn, options = {}) {
+  const selectors = Array.isArray(inputSelectors)
+    ? inputSelectors
+    : [inputSelectors];
+  if (selectors.length === 0 || selectors.some((s) => typeof s !== "function")) {
+    throw new Error(
+      "createSelector expects input selectors to be a function or an array of functions.",
+    );
+  }
+  if (typeof resultFn !== "function") {
+    throw new Error("createSelector expects the result function to be a function.");
+  }
+
+  const { equals = defaultEquals, cacheSize = 1 } = options;
+  if (typeof equals !== "function") {
+    throw new Error("createSelector expects `equals` to be a function.");
+  }
+  if (!Number.isInteger(cacheSize) || cacheSize < 1) {
+    throw new Error("createSelector expects `cacheSize` to be a positive integer.");
+  }
+
+  let cache = []; // Most recently used entry first: { inputs, result }
+  let recomputations = 0;
+
+  const selector = (...args) => {
+    const inputs = selectors.map((inputSelector) => inputSelector(...args));
+
+    const hitIndex = cache.findIndex((entry) =>
+      entry.inputs.every((cachedInput, i) => equals(cachedInput, inputs[i])),
+    );
+    if (hitIndex !== -1) {
+      const entry = cache[hitIndex];
+      if (hitIndex > 0) {
+        cache.splice(hitIndex, 1);
+        cache.unshift(entry);
+      }
+      return entry.result;
+    }
+
+    recomputations++;
+    const result = resultFn(...inputs);
+    cache.unshift({ inputs, result });
+    if (cache.length > cacheSize) {
+      cache.pop();
+    }
+    return result;
+  };
+
+  selector.resultFn = resultFn;
+  selector.inputSelectors = selectors;
+  selector.recomputations = () => recomputations;
+  selector.resetRecomputations = () => {
+    recomputations = 0;
+  };
+  selector.clearCache = () => {
+    cache = [];
+  };
+
+  return selector;
+}
@@ -1,6 +1,30 @@
 // src/utils/customVanUtils.js
 
 let currentContext = null; // Tracks the currently running computation (derivation or add's effect)
+let currentSourceHeight = 0; // Highest height among the sources read by the running computation
+let currentCleanups = null; // Collects onCleanup registrations of the running effect or watch callback
+
+// --- Propagation ---
+// Writes never run dependents directly. They mark every derived state downstream as dirty, then
+// dirty derived states are recomputed in topological order (lowest height first) before any other
+// dependent runs. A derived state's height is 1 + the highest height of the states it reads
+// (plain states have height 0), so in a diamond A -> B, A -> C, B + C -> D, D runs once, after B
+// and C, and never sees a half-updated graph. A dirty derived state is only recomputed if one of
+// its direct sources actually changed ("stale"); otherwise it is just marked clean again.
+
+const derivedNodes = new WeakMap(); // Registered updater function -> its derived state
+const trackedSources = new WeakMap(); // Computation -> the states it read on its latest run
+// Derived states that may need recomputing, bucketed by height so the lowest one is found without
+// scanning them all. lowestDirtyHeight is a lower bound: no bucket below it holds a dirty state.
+const dirtyByHeight = []; // Height -> Set of dirty derived states
+let dirtyCount = 0;
+let lowestDirtyHeight = Infinity;
+const pendingEffects = new Set(); // Other dependents (add's effects, subscribers), run once derived states settle
+
+// Batching: while batchDepth > 0 (or a microtask flush is pending), pending work is queued instead of flushed.
+let batchDepth = 0;
+let flushScheduled = false;
+const transactionLogs = []; // One Map(state -> value before the transaction) per open transaction
 
 function runAndTrackDependencies(computationFn, updateFn) {
   const oldContext = currentContext;
@@ -14,24 +38,303 @@ function runAndTrackDependencies(computationFn, updateFn) {
   }
 }
 
-export function state(initialValue) {
+// Unsubscribes a computation from every state it read on its previous run.
+function untrack(context) {
+  const sources = trackedSources.get(context);
+  if (sources) {
+    sources.forEach((source) => source._dependents.delete(context));
+    sources.clear();
+  }
+}
+
+// Runs fn with `context` registered as the dependent of every state it reads.
+// Dependencies are re-tracked on every run, so states a branch no longer reads stop notifying it.
+// Returns fn's result and the highest height among those states.
+function runTracked(context, fn) {
+  untrack(context);
+  if (!trackedSources.has(context)) {
+    trackedSources.set(context, new Set());
+  }
+  const oldContext = currentContext;
+  const oldSourceHeight = currentSourceHeight;
+  currentContext = context;
+  currentSourceHeight = 0;
+  try {
+    const result = fn();
+    return [result, currentSourceHeight];
+  } finally {
+    currentContext = oldContext;
+    currentSourceHeight = oldSourceHeight;
+  }
+}
+
+// Runs fn without registering anything it reads as a dependency.
+function untracked(fn) {
+  const oldContext = currentContext;
+  currentContext = null;
+  try {
+    return fn();
+  } finally {
+    currentContext = oldContext;
+  }
+}
+
+function withCleanups(cleanups, fn) {
+  const oldCleanups = currentCleanups;
+  currentCleanups = cleanups;
+  try {
+    return fn();
+  } finally {
+    currentCleanups = oldCleanups;
+  }
+}
+
+function runCleanups(cleanups) {
+  cleanups.splice(0).forEach((cleanup) => cleanup());
+}
+
+function trackRead(source, height) {
+  if (currentContext) {
+    source._dependents.add(currentContext);
+    const sources = trackedSources.get(currentContext);
+    if (sources) sources.add(source);
+    if (height > currentSourceHeight) currentSourceHeight = height;
+  }
+}
+
+function addDirty(node) {
+  if (!dirtyByHeight[node._height]) {
+    dirtyByHeight[node._height] = new Set();
+  }
+  dirtyByHeight[node._height].add(node);
+  dirtyCount++;
+  if (node._height < lowestDirtyHeight) lowestDirtyHeight = node._height;
+}
+
+function removeDirty(node) {
+  const bucket = dirtyByHeight[node._height];
+  if (bucket && bucket.delete(node)) dirtyCount--;
+}
+
+// Moves a dirty node to the bucket of its new height.
+function setHeight(node, height) {
+  if (node._height === height) return;
+  if (node._dirty) removeDirty(node);
+  node._height = height;
+  if (node._dirty) addDirty(node);
+}
+
+function markDirty(node, sourceHeight) {
+  // Keep heights topological even if the graph changed shape since the node last ran.
+  if (node._height <= sourceHeight) {
+    setHeight(node, sourceHeight + 1);
+  }
+  if (node._dirty) return;
+  node._dirty = true;
+  addDirty(node);
+  node._dependents.forEach((dep) => {
+    const child = derivedNodes.get(dep);
+    if (child) markDirty(child, node._height);
+  });
+}
+
+// Called when a source's value changed: its direct dependents are stale and everything below is dirty.
+function scheduleDependents(dependents, sourceHeight) {
+  dependents.forEach((dep) => {
+    const node = derivedNodes.get(dep);
+    if (node) {
+      node._stale = true;
+      markDirty(node, sourceHeight);
+    } else {
+      pendingEffects.add(dep);
+    }
+  });
+  if (batchDepth === 0 && !flushScheduled) {
+    flushPending();
+  }
+}
+
+function lowestDirty(maxHeight) {
+  for (let height = lowestDirtyHeight; height <= maxHeight && height < dirtyByHeight.length; height++) {
+    const bucket = dirtyByHeight[height];
+    if (bucket && bucket.size > 0) {
+      return bucket.values().next().value;
+    }
+    // Empty buckets at the bottom are skipped for good, until a lower node becomes dirty.
+    if (height === lowestDirtyHeight) lowestDirtyHeight = height + 1;
+  }
+  return null;
+}
+
+// Brings every dirty derived state up to maxHeight up to date, in height order.
+function settleDerived(maxHeight) {
+  let node = lowestDirty(maxHeight);
+  while (node) {
+    removeDirty(node);
+    node._dirty = false;
+    if (node._stale) {
+      node._stale = false;
+      node._updateAndNotify();
+    }
+    node = lowestDirty(maxHeight);
+  }
+}
+
+function flushPending() {
+  flushScheduled = false;
+  // A flush can start inside a running computation; what the effects read must not be attributed to it.
+  const oldContext = currentContext;
+  currentContext = null;
+  batchDepth++;
+  let firstError;
+  let failed = false;
+  try {
+    // Effects may write to states again; that work is picked up by the next round.
+    while (dirtyCount > 0 || pendingEffects.size > 0) {
+      settleDerived(Infinity);
+      const effects = [...pendingEffects];
+      pendingEffects.clear();
+      // One throwing effect must not keep unrelated ones from seeing the new values.
+      effects.forEach((effect) => {
+        try {
+          effect();
+        } catch (error) {
+          if (!failed) {
+            failed = true;
+            firstError = error;
+          }
+        }
+      });
+    }
+  } finally {
+    batchDepth--;
+    currentContext = oldContext;
+  }
+  if (failed) {
+    throw firstError;
+  }
+}
+
+function endBatch(flush) {
+  batchDepth--;
+  if (batchDepth > 0 || flushScheduled) return;
+  if (dirtyCount === 0 && pendingEffects.size === 0) return;
+  if (flush === "microtask") {
+    flushScheduled = true;
+    queueMicrotask(flushPending);
+  } else {
+    flushPending();
+  }
+}
+
+/**
+ * Runs fn and defers notifying dependents of the states it writes until the outermost batch ends.
+ * A dependent affected by several writes runs once, so bound DOM updates once.
+ * Derived states read inside the batch are brought up to date on demand.
+ *
+ * @template T
+ * @param {function(): T} fn - Writes to any number of states.
+ * @param {object} [options] - Batching options.
+ * @param {"sync"|"microtask"} [options.flush="sync"] - When the outermost batch ends, run the queued
+ *                                                     dependents immediately or on the next microtask
+ *                                                     (which also coalesces writes made until then).
+ * @returns {T} The return value of fn.
+ */
+export function batch(fn, options = {}) {
+  if (typeof fn !== "function") {
+    throw new Error("batch expects a function.");
+  }
+  batchDepth++;
+  try {
+    return fn();
+  } finally {
+    endBatch(options.flush);
+  }
+}
+
+/**
+ * Like batch, but all-or-nothing: if fn throws, every state written inside it is restored to its
+ * value from before the transaction and the error is rethrown.
+ *
+ * @template T
+ * @param {function(): T} fn - Writes to any number of states.
+ * @param {object} [options] - The same options as batch.
+ * @returns {T} The return value of fn.
+ */
+export function transaction(fn, options = {}) {
+  if (typeof fn !== "function") {
+    throw new Error("transaction expects a function.");
+  }
+  const log = new Map();
+  transactionLogs.push(log);
+  batchDepth++;
+  try {
+    const result = fn();
+    transactionLogs.pop();
+    // A committed nested transaction is still undone if an enclosing one rolls back.
+    const parentLog = transactionLogs[transactionLogs.length - 1];
+    if (parentLog) {
+      log.forEach((value, s) => {
+        if (!parentLog.has(s)) parentLog.set(s, value);
+      });
+    }
+    return result;
+  } catch (error) {
+    transactionLogs.pop();
+    // Derived states read inside the transaction were already recomputed from the new values, so every
+    // restored state's dependents are marked stale again and re-run against the restored values.
+    log.forEach((value, s) => {
+      s._val = value;
+      scheduleDependents(s._dependents, 0);
+    });
+    throw error;
+  } finally {
+    endBatch(options.flush);
+  }
+}
+
+function strictEquals(a, b) {
+  return a === b;
+}
+
+function validateEquals(equals, fnName) {
+  if (typeof equals !== "function") {
+    throw new Error(`${fnName} expects \`equals\` to be a function.`);
+  }
+}
+
+/**
+ * Creates a reactive state.
+ * @template T
+ * @param {T} initialValue - The initial value.
+ * @param {object} [options] - State options.
+ * @param {function(T, T): boolean} [options.equals] - Decides whether an assignment changes the value;
+ *                                                     defaults to `===`. Equal assignments are ignored,
+ *                                                     so dependents are not notified.
+ * @returns {object} The state; read and assign its `.val`.
+ */
+export function state(initialValue, options = {}) {
+  const { equals = strictEquals } = options;
+  validateEquals(equals, "state");
+
   const s = {
     _val: initialValue,
     _dependents: new Set(), // Stores functions that depend on this state
 
     get val() {
-      if (currentContext) {
-        s._dependents.add(currentContext); // Register the current computation
-      }
+      trackRead(s, 0); // Register the current computation
       return s._val;
     },
 
     set val(newValue) {
-      if (s._val !== newValue) {
+      if (!equals(s._val, newValue)) {
+        const log = transactionLogs[transactionLogs.length - 1];
+        if (log && !log.has(s)) {
+          log.set(s, s._val);
+        }
         s._val = newValue;
-        // Notify all dependents
-        // Iterate over a copy in case a dependent modifies the set during iteration (though less likely here)
-        [...s._dependents].forEach((dep) => dep());
+        // Notify all dependents (deferred while a batch is open)
+        scheduleDependents(s._dependents, 0);
       }
     },
 
@@ -47,78 +350,188 @@ export function state(initialValue) {
   return s;
 }
 
-export function derive(computationFn) {
-  let derivedVal; // Holds the current value of the derivation
-
-  // The update function for this derivation. It re-runs the computation
-  // and updates derivedVal. This is what gets registered with dependency states.
-  const updater = () => {
-    // Re-run the computation. Dependencies will be re-tracked automatically
-    // because currentContext will be set to this updater again.
-    // However, for simple derive, we don't want `derive` itself to be a dependency of its own computation.
-    // The dependencies are purely from `computationFn` to the states it reads.
-    const oldContext = currentContext;
-    currentContext = updater; // Register this updater for states accessed by computationFn
-    try {
-      derivedVal = computationFn();
-    } finally {
-      currentContext = oldContext;
-    }
-    // Unlike state's setter, derive doesn't trigger its own _dependents here.
-    // If a derived state is used in another derivation, that outer derivation
-    // will have its own updater registered when `derived.val` is accessed.
-  };
+/**
+ * Creates a derived state whose value is recomputed when the states it reads change.
+ * @template T
+ * @param {function(): T} computationFn - Computes the value.
+ * @param {object} [options] - Derivation options.
+ * @param {function(T, T): boolean} [options.equals] - Decides whether a recomputed value changed; defaults
+ *                                                     to `===`. Equal results keep the previous value and
+ *                                                     do not notify dependents.
+ * @returns {object} The derived state; read its `.val`.
+ */
+export function derive(computationFn, options = {}) {
+  const { equals = strictEquals } = options;
+  validateEquals(equals, "derive");
 
-  // Initial computation and dependency tracking
-  const oldContext = currentContext;
-  currentContext = updater; // Set this updater as the one to be subscribed by states accessed in computationFn
-  try {
-    derivedVal = computationFn();
-  } finally {
-    currentContext = oldContext;
-  }
+  let derivedVal; // Holds the current value of the derivation
+  let initialized = false;
 
   // The returned object for a derivation. It's like a state but its .val is not directly settable.
   const derivedState = {
     _dependents: new Set(), // Derived states can also be dependencies for other derivations
+    _height: 1, // Position in the dependency graph; see "Propagation" above
+    _dirty: false, // A source may have changed
+    _stale: false, // A direct source did change, so the computation must re-run
+    _disposed: false,
 
     get val() {
-      if (currentContext) {
-        derivedState._dependents.add(currentContext);
+      // Never hand out a value computed from a half-updated graph.
+      if (derivedState._dirty) {
+        settleDerived(derivedState._height);
       }
+      trackRead(derivedState, derivedState._height);
       return derivedVal;
     },
     // No setter for derived state's .val externally.
     // Internal update function that also notifies dependents of the derived state
     _updateAndNotify() {
+      if (derivedState._disposed) return;
       const oldInternalVal = derivedVal;
-      const oldCtx = currentContext;
-      currentContext = derivedState._updateAndNotify; // This derived state's update function is the context for its computation
-      try {
-        derivedVal = computationFn();
-      } finally {
-        currentContext = oldCtx;
+      // This derived state's update function is the context for its computation
+      const [newVal, sourceHeight] = runTracked(derivedState._updateAndNotify, computationFn);
+      setHeight(derivedState, sourceHeight + 1);
+      if (!initialized) {
+        initialized = true;
+        derivedVal = newVal;
+        return;
       }
 
-      if (oldInternalVal !== derivedVal) {
-        [...derivedState._dependents].forEach((dep) => dep());
+      if (!equals(oldInternalVal, newVal)) {
+        derivedVal = newVal;
+        scheduleDependents(derivedState._dependents, derivedState._height);
       }
     },
+
+    /**
+     * Stops recomputing: unsubscribes from every source state. The last value stays readable.
+     * @returns {void}
+     */
+    dispose() {
+      derivedState._disposed = true;
+      untrack(derivedState._updateAndNotify);
+      removeDirty(derivedState);
+      derivedState._dirty = false;
+    },
   };
+  derivedNodes.set(derivedState._updateAndNotify, derivedState);
 
-  // Initial run and dependency tracking for the derived state.
-  // The function that states subscribe to is the one that updates this derived state's value AND notifies its dependents.
-  const oldCtxForInitialRun = currentContext;
-  currentContext = derivedState._updateAndNotify;
-  try {
-    derivedState._updateAndNotify(); // Run once to set initial value and track dependencies
-  } finally {
-    currentContext = oldCtxForInitialRun;
-  }
+  // Initial run to set the value and track dependencies. There are no dependents to notify yet.
+  derivedState._updateAndNotify();
 
   return derivedState;
 }
 
+/**
+ * Runs fn now and again whenever a state it read changes, after derived states have settled.
+ * Dependencies are re-tracked on every run. Functions registered with onCleanup during a run
+ * are called before the next run and on dispose.
+ *
+ * @param {function(): void} fn - The side effect.
+ * @returns {{ dispose: function(): void }} A handle whose dispose() stops the effect and runs its cleanups.
+ */
+export function effect(fn) {
+  if (typeof fn !== "function") {
+    throw new Error("effect expects a function.");
+  }
+  let disposed = false;
+  const cleanups = [];
+  const effectFn = () => {
+    if (disposed) return;
+    runCleanups(cleanups);
+    runTracked(effectFn, () => withCleanups(cleanups, fn));
+  };
+
+  effectFn();
+  return {
+    dispose() {
+      if (disposed) return;
+      disposed = true;
+      untrack(effectFn);
+      pendingEffects.delete(effectFn);
+      runCleanups(cleanups);
+    },
+  };
+}
+
+/**
+ * Registers a function to run before the current effect (or watch callback) runs again,
+ * and when it is disposed. Use it to remove event listeners, clear timers, etc.
+ * @param {function(): void} cleanupFn - The cleanup.
+ * @returns {void}
+ */
+export function onCleanup(cleanupFn) {
+  if (typeof cleanupFn !== "function") {
+    throw new Error("onCleanup expects a function.");
+  }
+  if (!currentCleanups) {
+    throw new Error("onCleanup must be called while an effect or watch callback runs.");
+  }
+  currentCleanups.push(cleanupFn);
+}
+
+/**
+ * Calls callback(next, prev) whenever the watched value changes. Unlike effect, only the source
+ * is tracked: states read inside the callback do not re-trigger it.
+ *
+ * @template T
+ * @param {object | function(): T} source - A state or derived state, or a getter reading any states.
+ * @param {function(T, T | undefined): void} callback - Receives the new and the previous value.
+ * @param {object} [options] - Watch options.
+ * @param {boolean} [options.immediate=false] - Also call back once right away, with prev undefined.
+ * @param {function(T, T): boolean} [options.equals] - Decides whether the value changed; defaults to `===`.
+ * @returns {{ dispose: function(): void }} A handle whose dispose() stops watching and runs the callback's cleanups.
+ */
+export function watch(source, callback, options = {}) {
+  let getter;
+  if (typeof source === "function") {
+    getter = source;
+  } else if (source && typeof source === "object" && "val" in source) {
+    getter = () => source.val;
+  } else {
+    throw new Error("watch expects a state, a derived state or a getter function as its source.");
+  }
+  if (typeof callback !== "function") {
+    throw new Error("watch expects a callback function.");
+  }
+  const { immediate = false, equals = strictEquals } = options;
+
+  const cleanups = [];
+  const notify = (next, prev) => {
+    runCleanups(cleanups);
+    untracked(() => withCleanups(cleanups, () => callback(next, prev)));
+  };
+
+  let initialized = false;
+  let previous;
+  const handle = effect(() => {
+    const next = getter();
+    if (!initialized) {
+      initialized = true;
+      previous = next;
+      if (immediate) notify(next, undefined);
+      return;
+    }
+    if (equals(previous, next)) return;
+    const prev = previous;
+    previous = next;
+    notify(next, prev);
+  });
+
+  return {
+    dispose() {
+      handle.dispose();
+      runCleanups(cleanups);
+    },
+  };
+}
+
+/**
+ * Appends childSource to parentElement. A function child is re-rendered whenever the states it reads change.
+ * @param {HTMLElement} parentElement - The element to append to.
+ * @param {any | function(): any} childSource - A node, string, number, array of those, or a function returning one.
+ * @returns {{ dispose: function(): void }} A handle whose dispose() stops a reactive child from updating.
+ */
 export function add(parentElement, childSource) {
   let currentDOMNodes = []; // Keep track of DOM nodes added by this function
 
@@ -149,24 +562,29 @@ export function add(parentElement, childSource) {
 
   if (typeof childSource === "function") {
     // This is a reactive binding, setup derivation-like behavior
+    let disposed = false;
     const effectFn = () => {
-      const newValue = childSource(); // Run the user's function to get the new value/DOM node
-      updateDOM(newValue);
+      if (disposed) return;
+      // The effectFn is what gets registered as a dependent; dependencies are re-tracked on every run
+      runTracked(effectFn, () => {
+        const newValue = childSource(); // Run the user's function to get the new value/DOM node
+        updateDOM(newValue);
+      });
     };
 
-    // Run and track dependencies for the effect
-    const oldContext = currentContext;
-    currentContext = effectFn; // The effectFn is what gets registered as a dependent
-    try {
-      effectFn(); // Initial run to set DOM and track dependencies
-    } finally {
-      currentContext = oldContext;
-    }
-  } else {
-    // Static content, just add it once
-    updateDOM(childSource);
+    effectFn(); // Initial run to set DOM and track dependencies
+    return {
+      // Stops updating the DOM; the nodes currently rendered are left in place.
+      dispose() {
+        disposed = true;
+        untrack(effectFn);
+        pendingEffects.delete(effectFn);
+      },
+    };
   }
-  // `add` doesn't return a state-like object, it's a side-effect function.
+  // Static content, just add it once
+  updateDOM(childSource);
+  return { dispose() {} };
 }
 
 // Mock document and TextNode for environments without DOM (like this test environment)
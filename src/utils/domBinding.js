@@ -1,8 +1,10 @@
-import { state, derive, add } from "./customVanUtils.js"; // Import custom utilities
+import { state, effect, add } from "./customVanUtils.js"; // Import custom utilities
 
 /**
  * @file DOM Binding Utilities for VanJS states.
  * These helpers provide declarative ways to bind VanJS states to DOM elements.
+ * Each returns a `{ dispose }` handle; call dispose() when the element is discarded
+ * so the state stops holding on to the binding.
  */
 
 /**
@@ -10,7 +12,8 @@ import { state, derive, add } from "./customVanUtils.js"; // Import custom utili
  * @param {HTMLElement} element - The DOM element.
  * @param {string} propertyName - The name of the property to bind (e.g., 'value', 'textContent', 'className').
  * @param {object} scopedState - The VanJS state object (expected to have a .val property).
- * @returns {void}
+ * @returns {{ dispose: function(): void } | undefined} A handle whose dispose() stops the binding,
+ *                                                      or undefined if arguments are invalid.
  */
 export function bindProperty(element, propertyName, scopedState) {
   if (
@@ -22,10 +25,9 @@ export function bindProperty(element, propertyName, scopedState) {
     console.error(
       "Invalid arguments for bindProperty: element, propertyName, and scopedState (with .val) are required.",
     );
-    return;
+    return undefined;
   }
-  derive(() => {
-    // Use custom derive
+  return effect(() => {
     element[propertyName] = scopedState.val;
   });
 }
@@ -35,7 +37,8 @@ export function bindProperty(element, propertyName, scopedState) {
  * @param {HTMLElement} element - The DOM element.
  * @param {string} attributeName - The name of the attribute to bind.
  * @param {object} scopedState - The VanJS state object (expected to have a .val property).
- * @returns {void}
+ * @returns {{ dispose: function(): void } | undefined} A handle whose dispose() stops the binding,
+ *                                                      or undefined if arguments are invalid.
  */
 export function bindAttribute(element, attributeName, scopedState) {
   if (
@@ -47,10 +50,9 @@ export function bindAttribute(element, attributeName, scopedState) {
     console.error(
       "Invalid arguments for bindAttribute: element, attributeName, and scopedState (with .val) are required.",
     );
-    return;
+    return undefined;
   }
-  derive(() => {
-    // Use custom derive
+  return effect(() => {
     if (typeof scopedState.val === "boolean") {
       if (scopedState.val) {
         element.setAttribute(attributeName, "");
@@ -67,10 +69,11 @@ export function bindAttribute(element, attributeName, scopedState) {
  * Reactively sets the textContent of a DOM element to the value of a VanJS state.
  * @param {HTMLElement} element - The DOM element.
  * @param {object} scopedState - The VanJS state object (expected to have a .val property).
- * @returns {void}
+ * @returns {{ dispose: function(): void } | undefined} A handle whose dispose() stops the binding,
+ *                                                      or undefined if arguments are invalid.
  */
 export function bindTextContent(element, scopedState) {
-  bindProperty(element, "textContent", scopedState);
+  return bindProperty(element, "textContent", scopedState);
 }
 
 /**
@@ -78,7 +81,8 @@ export function bindTextContent(element, scopedState) {
  * The state value should be a DOM node, a string, or an array of these, or null/undefined to clear.
  * @param {HTMLElement} parentElement - The DOM element whose children will be replaced.
  * @param {object} scopedState - The VanJS state object (expected to have a .val property).
- * @returns {void}
+ * @returns {{ dispose: function(): void } | undefined} A handle whose dispose() stops the binding,
+ *                                                      or undefined if arguments are invalid.
  */
 export function bindChildren(parentElement, scopedState) {
   if (
@@ -89,10 +93,9 @@ export function bindChildren(parentElement, scopedState) {
     console.error(
       "Invalid arguments for bindChildren: parentElement and scopedState (with .val) are required.",
     );
-    return;
+    return undefined;
   }
-  derive(() => {
-    // Use custom derive
+  return effect(() => {
     const newContent = scopedState.val;
     while (parentElement.firstChild) {
       parentElement.removeChild(parentElement.firstChild);
@@ -112,7 +115,8 @@ export function bindChildren(parentElement, scopedState) {
  * This allows VanJS to manage the lifecycle of the children if they are VanJS components.
  * @param {HTMLElement} parentElement - The DOM element to add children to.
  * @param {object} scopedState - The VanJS state object whose .val will be rendered as children.
- * @returns {ChildNode | ChildNode[] | undefined} The DOM element(s) rendered by VanJS, or undefined if arguments are invalid.
+ * @returns {{ dispose: function(): void } | undefined} A handle whose dispose() stops the binding,
+ *                                                      or undefined if arguments are invalid.
  */
 export function bindChildrenWithVanAdd(parentElement, scopedState) {
   if (
@@ -1,10 +1,19 @@
-import { Map, List, fromJS, isImmutable } from "./customImmutableUtils.js";
+import {
+  Map,
+  List,
+  Set,
+  OrderedMap,
+  Record,
+  fromJS,
+  isImmutable,
+} from "./customImmutableUtils.js";
 
 /**
  * Re-exports custom fromJS() for converting plain JavaScript objects and arrays
  * into their deeply immutable counterparts.
  * @template T
  * @param {any} jsValue - The plain JavaScript value to convert.
+ * @param {function(string|number, any, Array): any} [reviver] - Optional hook to replace converted collections.
  * @returns {T} The new immutable structure (e.g., Map, List).
  */
 export { fromJS };
@@ -204,5 +213,10 @@ export function removeValue(listInput, index) {
   return targetList.delete(index);
 }
 
-// Re-export the custom Map and List implementations
-export { List, Map };
+// Re-export the custom collection implementations
+export { List, Map, OrderedMap, Record, Set };
+
+/**
+ * Namespace object bundling the custom collections and helpers, e.g. `new Immutable.Map({ a: 1 })`.
+ */
+export const Immutable = Object.freeze({ List, Map, OrderedMap, Record, Set, fromJS, isImmutable });
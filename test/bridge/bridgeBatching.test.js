@@ -0,0 +1,66 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS } from '../../src/utils/immutableUtils.js'
+import { add } from '../../src/utils/customVanUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import { createScopedState } from '../../src/scopedState.js'
+
+describe('bridge batching', () => {
+  const initialState = fromJS({ firstName: 'Ada', lastName: 'Lovelace' })
+  const reducer = (state = initialState, action) =>
+    action.type === 'RENAME' ? state.merge(action.payload) : state
+
+  test('one dispatch should produce one DOM update across several selectors', () => {
+    const store = createGlobalStore(reducer, initialState, { devTools: false })
+    const scoped = createScopedState(null, { globalStore: store })
+    const firstName = scoped.createGlobalStateSelector(state => state.get('firstName'))
+    const lastName = scoped.createGlobalStateSelector(state => state.get('lastName'))
+
+    const parent = document.createElement('div')
+    const render = mock.fn(() => `${firstName.val} ${lastName.val}`)
+    add(parent, render)
+    render.mock.resetCalls()
+
+    store.dispatch({ type: 'RENAME', payload: { firstName: 'Grace', lastName: 'Hopper' } })
+    assert.strictEqual(render.mock.calls.length, 1)
+    assert.strictEqual(render.mock.calls[0].result, 'Grace Hopper')
+  })
+
+  test('bridge listeners should share a single store subscription', () => {
+    const store = createGlobalStore(reducer, initialState, { devTools: false })
+    const subscribe = mock.method(store, 'subscribe')
+    const scoped = createScopedState(null, { globalStore: store })
+
+    const unsubscribeFirst = scoped.subscribeToGlobal(state => state.get('firstName'), () => { })
+    const unsubscribeLast = scoped.subscribeToGlobal(state => state.get('lastName'), () => { })
+    assert.strictEqual(subscribe.mock.calls.length, 1)
+
+    unsubscribeFirst()
+    unsubscribeFirst()
+    unsubscribeLast()
+    scoped.subscribeToGlobal(state => state.get('firstName'), () => { })
+    assert.strictEqual(subscribe.mock.calls.length, 2)
+  })
+})
+
+describe('createGlobalStateSelector disposal', () => {
+  test('dispose should release the store subscription and keep the last value', () => {
+    const store = createGlobalStore((state = fromJS({ count: 0 }), action) =>
+      action.type === 'INCREMENT' ? state.update('count', c => c + 1) : state, undefined, { devTools: false })
+    const unsubscribeSpy = mock.fn()
+    const originalSubscribe = store.subscribe
+    store.subscribe = (listener) => {
+      const unsubscribe = originalSubscribe(listener)
+      return () => { unsubscribeSpy(); unsubscribe() }
+    }
+    const scoped = createScopedState(null, { globalStore: store })
+    const count = scoped.createGlobalStateSelector(state => state.get('count'))
+
+    store.dispatch({ type: 'INCREMENT' })
+    assert.strictEqual(count.val, 1)
+    count.dispose()
+    assert.strictEqual(unsubscribeSpy.mock.calls.length, 1)
+    store.dispatch({ type: 'INCREMENT' })
+    assert.strictEqual(count.val, 1)
+  })
+})
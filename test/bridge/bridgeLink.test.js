@@ -0,0 +1,105 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS } from '../../src/utils/immutableUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import { createScopedState } from '../../src/scopedState.js'
+
+describe('scopedState.linkGlobal', () => {
+  const initialState = fromJS({ profile: { name: 'Ada' } })
+  const reducer = (state = initialState, action) =>
+    action.type === 'SET_NAME' ? state.setIn(['profile', 'name'], action.payload.trim()) : state
+  const selectName = state => state.getIn(['profile', 'name'])
+  const setName = name => ({ type: 'SET_NAME', payload: name })
+
+  const setup = () => {
+    const store = createGlobalStore(reducer, initialState, { devTools: false })
+    const dispatch = mock.method(store, 'dispatch')
+    const field = createScopedState('', { globalStore: store })
+    return { store, dispatch, field }
+  }
+
+  test('should take the selected value and follow store changes without dispatching back', () => {
+    const { store, dispatch, field } = setup()
+    field.linkGlobal(selectName, setName)
+    assert.strictEqual(field.val, 'Ada')
+
+    store.dispatch(setName('Grace'))
+    assert.strictEqual(field.val, 'Grace')
+    assert.strictEqual(dispatch.mock.calls.length, 1)
+  })
+
+  test('should dispatch the mapped action when the value is set locally', () => {
+    const { store, dispatch, field } = setup()
+    field.linkGlobal(selectName, setName)
+
+    field.val = '  Grace '
+    assert.strictEqual(dispatch.mock.calls.length, 1)
+    assert.deepStrictEqual(dispatch.mock.calls[0].arguments[0], setName('  Grace '))
+    assert.strictEqual(selectName(store.getState()), 'Grace')
+    // The normalized store value flows back without another dispatch.
+    assert.strictEqual(field.val, 'Grace')
+    assert.strictEqual(dispatch.mock.calls.length, 1)
+  })
+
+  test('should debounce local dispatches and send only the latest value', () => {
+    mock.timers.enable({ apis: ['setTimeout'] })
+    try {
+      const { store, dispatch, field } = setup()
+      field.linkGlobal(selectName, setName, { debounce: 200 })
+
+      field.val = 'G'
+      mock.timers.tick(100)
+      field.val = 'Gr'
+      mock.timers.tick(100)
+      assert.strictEqual(dispatch.mock.calls.length, 0)
+      mock.timers.tick(100)
+      assert.strictEqual(dispatch.mock.calls.length, 1)
+      assert.strictEqual(selectName(store.getState()), 'Gr')
+    } finally {
+      mock.timers.reset()
+    }
+  })
+
+  test('a store change should cancel a pending debounced dispatch', () => {
+    mock.timers.enable({ apis: ['setTimeout'] })
+    try {
+      const { store, dispatch, field } = setup()
+      field.linkGlobal(selectName, setName, { debounce: 200 })
+
+      field.val = 'local edit'
+      store.dispatch(setName('from elsewhere'))
+      assert.strictEqual(field.val, 'from elsewhere')
+      mock.timers.tick(500)
+      assert.strictEqual(dispatch.mock.calls.length, 1)
+    } finally {
+      mock.timers.reset()
+    }
+  })
+
+  test('unlinking should flush a pending dispatch and stop syncing', () => {
+    mock.timers.enable({ apis: ['setTimeout'] })
+    try {
+      const { store, dispatch, field } = setup()
+      const unlink = field.linkGlobal(selectName, setName, { debounce: 200 })
+
+      field.val = 'Grace'
+      unlink()
+      assert.strictEqual(selectName(store.getState()), 'Grace')
+
+      store.dispatch(setName('Hopper'))
+      assert.strictEqual(field.val, 'Grace')
+      field.val = 'local only'
+      mock.timers.tick(500)
+      assert.strictEqual(dispatch.mock.calls.length, 2)
+    } finally {
+      mock.timers.reset()
+    }
+  })
+
+  test('should validate its arguments', () => {
+    const { field } = setup()
+    assert.throws(() => field.linkGlobal('nope', setName), /selectorFn must be a function for linkGlobal\./)
+    assert.throws(() => field.linkGlobal(selectName), /toAction must be a function for linkGlobal\./)
+    assert.throws(() => field.linkGlobal(selectName, setName, { debounce: -1 }), /debounce must be a non-negative number for linkGlobal\./)
+  })
+})
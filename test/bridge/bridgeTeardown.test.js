@@ -0,0 +1,99 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS } from '../../src/utils/immutableUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import { createScopedState } from '../../src/scopedState.js'
+
+describe('bridge teardown', () => {
+  const initialState = fromJS({ count: 0, name: 'Ada' })
+  const reducer = (state = initialState, action) => {
+    switch (action.type) {
+      case 'INCREMENT':
+        return state.update('count', c => c + 1)
+      case 'SET_NAME':
+        return state.set('name', action.payload)
+      default:
+        return state
+    }
+  }
+
+  // Wraps store.subscribe so the test can read how many store listeners are still attached.
+  const countListeners = (store) => {
+    let active = 0
+    const subscribe = store.subscribe
+    store.subscribe = (listener) => {
+      active++
+      const unsubscribe = subscribe(listener)
+      let subscribed = true
+      return () => {
+        if (subscribed) {
+          subscribed = false
+          active--
+        }
+        unsubscribe()
+      }
+    }
+    return () => active
+  }
+
+  test('createGlobalStateSelector().dispose() should stop updates and release the store listener', () => {
+    const store = createGlobalStore(reducer, initialState, { devTools: false })
+    const activeListeners = countListeners(store)
+    const scoped = createScopedState(null, { globalStore: store })
+
+    const count = scoped.createGlobalStateSelector(state => state.get('count'))
+    assert.strictEqual(activeListeners(), 1)
+    store.dispatch({ type: 'INCREMENT' })
+    assert.strictEqual(count.val, 1)
+
+    count.dispose()
+    count.dispose()
+    assert.strictEqual(activeListeners(), 0)
+    store.dispatch({ type: 'INCREMENT' })
+    assert.strictEqual(count.val, 1)
+  })
+
+  test('disconnectGlobal() should tear down every bridge subscription', () => {
+    const store = createGlobalStore(reducer, initialState, { devTools: false })
+    const activeListeners = countListeners(store)
+    const scoped = createScopedState('', { globalStore: store })
+    const other = createScopedState(null, { globalStore: store })
+
+    const callback = mock.fn()
+    scoped.subscribeToGlobal(state => state.get('count'), callback)
+    const count = scoped.createGlobalStateSelector(state => state.get('count'))
+    scoped.linkGlobal(state => state.get('name'), name => ({ type: 'SET_NAME', payload: name }))
+    const otherCount = other.createGlobalStateSelector(state => state.get('count'))
+    assert.strictEqual(activeListeners(), 1)
+
+    scoped.disconnectGlobal()
+    assert.strictEqual(activeListeners(), 1, 'the other scoped state keeps its subscription')
+
+    store.dispatch({ type: 'INCREMENT' })
+    store.dispatch({ type: 'SET_NAME', payload: 'Grace' })
+    assert.strictEqual(callback.mock.calls.length, 0)
+    assert.strictEqual(count.val, 0)
+    assert.strictEqual(scoped.val, 'Ada')
+    assert.strictEqual(otherCount.val, 1)
+
+    other.disconnectGlobal()
+    assert.strictEqual(activeListeners(), 0)
+  })
+
+  test('unsubscribe handles should stay safe to call after disconnectGlobal()', () => {
+    const store = createGlobalStore(reducer, initialState, { devTools: false })
+    const activeListeners = countListeners(store)
+    const scoped = createScopedState(null, { globalStore: store })
+
+    const unsubscribe = scoped.subscribeToGlobal(state => state.get('count'), () => { })
+    scoped.disconnectGlobal()
+    unsubscribe()
+    assert.strictEqual(activeListeners(), 0)
+
+    const callback = mock.fn()
+    scoped.subscribeToGlobal(state => state.get('count'), callback)
+    assert.strictEqual(activeListeners(), 1)
+    store.dispatch({ type: 'INCREMENT' })
+    assert.strictEqual(callback.mock.calls.length, 1)
+  })
+})
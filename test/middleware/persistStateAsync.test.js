@@ -0,0 +1,178 @@
+import { afterEach, beforeEach, describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS, isImmutable } from '../../src/utils/immutableUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import { persistStateMiddleware, rehydrateState, rehydrateStateAsync } from '../../src/middleware/persistState.js'
+
+// An async adapter whose writes only settle when the test resolves them.
+function createDeferredAdapter() {
+  const storage = {}
+  const pendingWrites = []
+  return {
+    storage,
+    pendingWrites,
+    getItem: mock.fn(async key => storage[key]),
+    setItem: mock.fn((key, value) => new Promise((resolve, reject) => {
+      pendingWrites.push({
+        resolve: () => {
+          storage[key] = value
+          resolve()
+        },
+        reject,
+      })
+    })),
+    removeItem: mock.fn(async key => { delete storage[key] }),
+  }
+}
+
+describe('async storage adapters', () => {
+  const storageKey = 'asyncState'
+  const initialState = fromJS({ count: 0 })
+  const reducer = (state = initialState, action) => action.type === 'INCREMENT' ? state.update('count', c => c + 1) : state
+  let consoleErrorSpy
+
+  beforeEach(() => {
+    consoleErrorSpy = mock.method(console, 'error', () => { })
+  })
+
+  afterEach(() => {
+    consoleErrorSpy.mock.restore()
+  })
+
+  const createStore = (persistence) => createGlobalStore(reducer, initialState, { middleware: [persistence], devTools: false })
+
+  describe('rehydrateStateAsync', () => {
+    test('should await getItem and rehydrate the state', async () => {
+      const adapter = createDeferredAdapter()
+      adapter.storage[storageKey] = JSON.stringify({ _persist: { version: 1 }, state: { total: 5 } })
+      const rehydrated = await rehydrateStateAsync({
+        key: storageKey,
+        adapter,
+        version: 2,
+        migrations: { 2: state => ({ count: state.total }) },
+      })
+      assert(isImmutable(rehydrated))
+      assert.deepStrictEqual(rehydrated.toJS(), { count: 5 })
+    })
+
+    test('should resolve undefined when nothing is stored', async () => {
+      assert.strictEqual(await rehydrateStateAsync({ key: storageKey, adapter: createDeferredAdapter() }), undefined)
+    })
+
+    test('should report a rejected getItem to onError', async () => {
+      const failure = new Error('Disk unavailable')
+      const onError = mock.fn()
+      const adapter = { getItem: async () => { throw failure }, setItem: async () => { } }
+      assert.strictEqual(await rehydrateStateAsync({ key: storageKey, adapter, onError }), undefined)
+      assert.deepStrictEqual(onError.mock.calls[0].arguments, [failure, { key: storageKey, operation: 'rehydrate' }])
+      assert.strictEqual(consoleErrorSpy.mock.calls.length, 0)
+    })
+  })
+
+  test('rehydrateState should reject a Promise from getItem instead of deserializing it', () => {
+    const onError = mock.fn()
+    const adapter = createDeferredAdapter()
+    assert.strictEqual(rehydrateState({ key: storageKey, adapter, onError }), undefined)
+    assert.match(onError.mock.calls[0].arguments[0].message, /Use rehydrateStateAsync with async adapters\./)
+  })
+
+  describe('persistStateMiddleware', () => {
+    test('should queue writes behind a pending setItem and only write the latest state', async () => {
+      const adapter = createDeferredAdapter()
+      const persistence = persistStateMiddleware({ key: storageKey, adapter, throttleWait: 0 })
+      const store = createStore(persistence)
+
+      store.dispatch({ type: 'INCREMENT' })
+      store.dispatch({ type: 'INCREMENT' })
+      store.dispatch({ type: 'INCREMENT' })
+      assert.strictEqual(adapter.setItem.mock.calls.length, 1)
+
+      adapter.pendingWrites[0].resolve()
+      await new Promise(resolve => setImmediate(resolve))
+      assert.strictEqual(adapter.setItem.mock.calls.length, 2)
+      assert.strictEqual(adapter.setItem.mock.calls[1].arguments[1], JSON.stringify({ count: 3 }))
+
+      const flushed = persistence.flush()
+      adapter.pendingWrites[1].resolve()
+      await flushed
+      assert.strictEqual(adapter.storage[storageKey], JSON.stringify({ count: 3 }))
+    })
+
+    test('flush() should write a pending debounced save and wait for it', async () => {
+      mock.timers.enable({ apis: ['setTimeout'] })
+      try {
+        const adapter = createDeferredAdapter()
+        const persistence = persistStateMiddleware({ key: storageKey, adapter, throttleWait: 1000 })
+        const store = createStore(persistence)
+        store.dispatch({ type: 'INCREMENT' })
+        assert.strictEqual(adapter.setItem.mock.calls.length, 0)
+
+        const flushed = persistence.flush()
+        assert.strictEqual(adapter.setItem.mock.calls.length, 1)
+        adapter.pendingWrites[0].resolve()
+        await flushed
+        assert.strictEqual(adapter.storage[storageKey], JSON.stringify({ count: 1 }))
+
+        mock.timers.tick(1000)
+        assert.strictEqual(adapter.setItem.mock.calls.length, 1)
+      } finally {
+        mock.timers.reset()
+      }
+    })
+
+    test('should report rejected writes to onError and keep writing afterwards', async () => {
+      const adapter = createDeferredAdapter()
+      const onError = mock.fn()
+      const persistence = persistStateMiddleware({ key: storageKey, adapter, throttleWait: 0, onError })
+      const store = createStore(persistence)
+
+      store.dispatch({ type: 'INCREMENT' })
+      const failure = new Error('Quota exceeded')
+      adapter.pendingWrites[0].reject(failure)
+      await persistence.flush()
+      assert.deepStrictEqual(onError.mock.calls[0].arguments, [failure, { key: storageKey, operation: 'save' }])
+
+      store.dispatch({ type: 'INCREMENT' })
+      adapter.pendingWrites[1].resolve()
+      await persistence.flush()
+      assert.strictEqual(adapter.storage[storageKey], JSON.stringify({ count: 2 }))
+      assert.strictEqual(consoleErrorSpy.mock.calls.length, 0)
+    })
+
+    test('should keep writing when the onError hook itself throws', async () => {
+      const adapter = createDeferredAdapter()
+      const onError = mock.fn(() => { throw new Error('Hook failed') })
+      const persistence = persistStateMiddleware({ key: storageKey, adapter, throttleWait: 0, onError })
+      const store = createStore(persistence)
+
+      store.dispatch({ type: 'INCREMENT' })
+      adapter.pendingWrites[0].reject(new Error('Quota exceeded'))
+      await persistence.flush()
+      store.dispatch({ type: 'INCREMENT' })
+      adapter.pendingWrites[1].resolve()
+      await persistence.flush()
+      store.dispatch({ type: 'INCREMENT' })
+      adapter.pendingWrites[2].resolve()
+      await persistence.flush()
+
+      assert.strictEqual(adapter.setItem.mock.calls.length, 3)
+      assert.strictEqual(adapter.storage[storageKey], JSON.stringify({ count: 3 }))
+      assert.strictEqual(onError.mock.calls.length, 1)
+      assert.match(consoleErrorSpy.mock.calls[0].arguments[0], /onError hook threw/)
+    })
+
+    test('should pass synchronous errors to onError too', () => {
+      const onError = mock.fn()
+      const adapter = { getItem: () => null, setItem: () => { throw new Error('Read-only') } }
+      const store = createStore(persistStateMiddleware({ key: storageKey, adapter, throttleWait: 0, onError }))
+      store.dispatch({ type: 'INCREMENT' })
+      assert.strictEqual(onError.mock.calls[0].arguments[0].message, 'Read-only')
+    })
+
+    test('should validate onError', () => {
+      const adapter = createDeferredAdapter()
+      assert.throws(() => persistStateMiddleware({ key: storageKey, adapter, onError: 'log' }), /Persistence middleware expects `onError` to be a function\./)
+      assert.throws(() => rehydrateState({ key: storageKey, adapter, onError: 'log' }), /rehydrateState expects `onError` to be a function\./)
+    })
+  })
+})
@@ -0,0 +1,113 @@
+import { afterEach, beforeEach, describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS, isImmutable } from '../../src/utils/immutableUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import { persistStateMiddleware, rehydrateState } from '../../src/middleware/persistState.js'
+
+describe('versioned persistence', () => {
+  const storageKey = 'versionedState'
+  let storage, adapter, consoleWarnSpy, consoleErrorSpy
+
+  beforeEach(() => {
+    storage = {}
+    adapter = {
+      getItem: key => storage[key],
+      setItem: (key, value) => { storage[key] = value },
+      removeItem: key => { delete storage[key] },
+    }
+    consoleWarnSpy = mock.method(console, 'warn', () => { })
+    consoleErrorSpy = mock.method(console, 'error', () => { })
+  })
+
+  afterEach(() => {
+    consoleWarnSpy.mock.restore()
+    consoleErrorSpy.mock.restore()
+  })
+
+  // v1 -> v2 renames `name` to `fullName`, v2 -> v3 wraps the user in a `profile` object.
+  const migrations = {
+    2: state => ({ count: state.count, fullName: state.name }),
+    3: state => ({ count: state.count, profile: { fullName: state.fullName } }),
+  }
+
+  test('the middleware should store the version alongside the payload', () => {
+    const initialState = fromJS({ count: 0 })
+    const reducer = (state = initialState, action) => action.type === 'INCREMENT' ? state.update('count', c => c + 1) : state
+    const store = createGlobalStore(reducer, initialState, {
+      middleware: [persistStateMiddleware({ key: storageKey, adapter, throttleWait: 0, version: 3 })],
+      devTools: false,
+    })
+    store.dispatch({ type: 'INCREMENT' })
+    assert.deepStrictEqual(JSON.parse(storage[storageKey]), { _persist: { version: 3 }, state: { count: 1 } })
+  })
+
+  test('should return the state as-is when the stored version matches', () => {
+    storage[storageKey] = JSON.stringify({ _persist: { version: 3 }, state: { count: 1, profile: { fullName: 'Ada' } } })
+    const migration = mock.fn(state => state)
+    const rehydrated = rehydrateState({ key: storageKey, adapter, version: 3, migrations: { 3: migration } })
+    assert(isImmutable(rehydrated))
+    assert.deepStrictEqual(rehydrated.toJS(), { count: 1, profile: { fullName: 'Ada' } })
+    assert.strictEqual(migration.mock.calls.length, 0)
+  })
+
+  test('should run several migrations in ascending order', () => {
+    storage[storageKey] = JSON.stringify({ _persist: { version: 1 }, state: { count: 4, name: 'Ada' } })
+    const calls = []
+    const tracked = Object.fromEntries(Object.entries(migrations).reverse().map(([v, fn]) => [v, state => {
+      calls.push(Number(v))
+      return fn(state)
+    }]))
+    const rehydrated = rehydrateState({ key: storageKey, adapter, version: 3, migrations: tracked })
+    assert.deepStrictEqual(calls, [2, 3])
+    assert.deepStrictEqual(rehydrated.toJS(), { count: 4, profile: { fullName: 'Ada' } })
+  })
+
+  test('should only run the migrations after the stored version', () => {
+    storage[storageKey] = JSON.stringify({ _persist: { version: 2 }, state: { count: 4, fullName: 'Ada' } })
+    const rehydrated = rehydrateState({ key: storageKey, adapter, version: 3, migrations })
+    assert.deepStrictEqual(rehydrated.toJS(), { count: 4, profile: { fullName: 'Ada' } })
+  })
+
+  test('should treat an unversioned payload as version 0 and skip missing steps', () => {
+    storage[storageKey] = JSON.stringify({ count: 4, name: 'Ada' })
+    const rehydrated = rehydrateState({
+      key: storageKey,
+      adapter,
+      version: 3,
+      migrations: { 1: state => state, ...migrations },
+    })
+    assert.deepStrictEqual(rehydrated.toJS(), { count: 4, profile: { fullName: 'Ada' } })
+  })
+
+  test('should fall back to undefined when the stored version is newer', () => {
+    storage[storageKey] = JSON.stringify({ _persist: { version: 5 }, state: { count: 4 } })
+    assert.strictEqual(rehydrateState({ key: storageKey, adapter, version: 3, migrations }), undefined)
+    assert.match(consoleWarnSpy.mock.calls[0].arguments[0], /Persisted state version 5 is newer than 3/)
+  })
+
+  test('onNewerVersion should decide what a newer payload rehydrates to', () => {
+    storage[storageKey] = JSON.stringify({ _persist: { version: 5 }, state: { count: 4, extra: true } })
+    const onNewerVersion = mock.fn(state => ({ count: state.count }))
+    const rehydrated = rehydrateState({ key: storageKey, adapter, version: 3, onNewerVersion })
+    assert.deepStrictEqual(onNewerVersion.mock.calls[0].arguments, [{ count: 4, extra: true }, 5])
+    assert.deepStrictEqual(rehydrated.toJS(), { count: 4 })
+  })
+
+  test('a failing migration should log and return undefined', () => {
+    storage[storageKey] = JSON.stringify({ _persist: { version: 1 }, state: {} })
+    const rehydrated = rehydrateState({ key: storageKey, adapter, version: 2, migrations: { 2: () => { throw new Error('bad data') } } })
+    assert.strictEqual(rehydrated, undefined)
+    assert.strictEqual(consoleErrorSpy.mock.calls[0].arguments[0], 'Error rehydrating state from adapter:')
+  })
+
+  test('should unwrap versioned payloads even without a configured version', () => {
+    storage[storageKey] = JSON.stringify({ _persist: { version: 2 }, state: { count: 1 } })
+    assert.deepStrictEqual(rehydrateState({ key: storageKey, adapter }).toJS(), { count: 1 })
+  })
+
+  test('should validate version and migrations', () => {
+    assert.throws(() => persistStateMiddleware({ key: storageKey, adapter, version: 1.5 }), /Persistence middleware expects `version` to be a non-negative integer\./)
+    assert.throws(() => rehydrateState({ key: storageKey, adapter, version: -1 }), /rehydrateState expects `version` to be a non-negative integer\./)
+    assert.throws(() => rehydrateState({ key: storageKey, adapter, version: 1, migrations: { 1: 'nope' } }), /rehydrateState expects `migrations` to be an object of functions\./)
+  })
+})
@@ -0,0 +1,106 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS } from '../../src/utils/immutableUtils.js'
+import applyMiddleware from '../../src/applyMiddleware.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import thunk, { createThunkMiddleware } from '../../src/middleware/thunk.js'
+
+describe('thunk middleware', () => {
+  const initialState = fromJS({ counter: 0, user: null, status: 'idle' })
+  const reducer = (state = initialState, action) => {
+    switch (action.type) {
+      case 'INCREMENT':
+        return state.update('counter', c => c + 1)
+      case 'USER_FETCH_START':
+        return state.set('status', 'loading')
+      case 'USER_FETCH_SUCCESS':
+        return state.set('user', action.payload).set('status', 'idle')
+      default:
+        return state
+    }
+  }
+
+  test('should pass plain actions through to the next middleware', () => {
+    const next = mock.fn(action => action)
+    const action = { type: 'INCREMENT' }
+    const result = createThunkMiddleware()({ dispatch: () => { }, getState: () => { } })(next)(action)
+    assert.strictEqual(next.mock.calls.length, 1)
+    assert.strictEqual(result, action)
+  })
+
+  test('should call thunks with dispatch, getState and the dependencies object', () => {
+    const dependencies = { api: {} }
+    const storeAPI = { dispatch: mock.fn(), getState: mock.fn() }
+    const next = mock.fn()
+    const thunkFn = mock.fn(() => 'thunk result')
+
+    const result = createThunkMiddleware(dependencies)(storeAPI)(next)(thunkFn)
+
+    assert.strictEqual(result, 'thunk result')
+    assert.strictEqual(next.mock.calls.length, 0)
+    assert.deepStrictEqual(thunkFn.mock.calls[0].arguments, [storeAPI.dispatch, storeAPI.getState, dependencies])
+  })
+
+  test('default export should inject an empty dependencies object and expose withDependencies', () => {
+    let received
+    thunk({ dispatch: () => { }, getState: () => { } })(() => { })((d, g, deps) => { received = deps })
+    assert.deepStrictEqual(received, {})
+    assert.strictEqual(thunk.withDependencies, createThunkMiddleware)
+  })
+
+  test('createGlobalStore should install the thunk middleware by default', () => {
+    const store = createGlobalStore(reducer, initialState)
+    store.dispatch((dispatch, getState) => {
+      dispatch({ type: 'INCREMENT' })
+      dispatch({ type: 'INCREMENT' })
+      assert.strictEqual(getState().get('counter'), 2)
+    })
+    assert.strictEqual(store.getState().get('counter'), 2)
+  })
+
+  test('createGlobalStore should inject the `dependencies` option into thunks', async () => {
+    const api = { fetchUser: mock.fn(async (id) => ({ id, name: 'Stubbed User' })) }
+    const store = createGlobalStore(reducer, initialState, { dependencies: { api } })
+
+    const fetchUser = (id) => async (dispatch, getState, { api }) => {
+      dispatch({ type: 'USER_FETCH_START' })
+      const user = await api.fetchUser(id)
+      dispatch({ type: 'USER_FETCH_SUCCESS', payload: user })
+      return user
+    }
+
+    const pending = store.dispatch(fetchUser(7))
+    assert.strictEqual(store.getState().get('status'), 'loading')
+    const user = await pending
+    assert.deepStrictEqual(user, { id: 7, name: 'Stubbed User' })
+    assert.deepStrictEqual(api.fetchUser.mock.calls[0].arguments, [7])
+    assert.deepStrictEqual(store.getState().get('user').toJS(), { id: 7, name: 'Stubbed User' })
+    assert.strictEqual(store.getState().get('status'), 'idle')
+  })
+
+  test('store.actions creators may return thunks', () => {
+    const store = createGlobalStore(reducer, initialState, {
+      actions: {
+        incrementTwice: () => (dispatch) => {
+          dispatch({ type: 'INCREMENT' })
+          dispatch({ type: 'INCREMENT' })
+          return 'done'
+        },
+      },
+    })
+    assert.strictEqual(store.actions.incrementTwice(), 'done')
+    assert.strictEqual(store.getState().get('counter'), 2)
+  })
+
+  test('thunks should run before user middleware, which only sees plain actions', () => {
+    const seen = []
+    const recorder = () => next => action => {
+      seen.push(typeof action === 'function' ? 'thunk' : action.type)
+      return next(action)
+    }
+    const store = createGlobalStore(reducer, initialState, { enhancer: applyMiddleware(recorder) })
+    store.dispatch(dispatch => dispatch({ type: 'INCREMENT' }))
+    assert.deepStrictEqual(seen, ['INCREMENT'])
+    assert.strictEqual(store.getState().get('counter'), 1)
+  })
+})
@@ -0,0 +1,158 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS, List, Map, OrderedMap, Set } from '../../src/utils/immutableUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import { persistStateMiddleware, rehydrateState, rehydrateStateAsync } from '../../src/middleware/persistState.js'
+import localStorageAdapter from '../../src/persistence/localStorageAdapter.js'
+import { jsonCodec, taggedCodec } from '../../src/persistence/codecs.js'
+
+function createStringAdapter() {
+  const storage = {}
+  return {
+    storage,
+    storesStrings: true,
+    getItem: key => storage[key],
+    setItem: mock.fn((key, value) => { storage[key] = value }),
+    removeItem: key => { delete storage[key] },
+  }
+}
+
+function createValueAdapter() {
+  const storage = {}
+  return {
+    storage,
+    storesStrings: false,
+    getItem: async key => storage[key],
+    setItem: mock.fn(async (key, value) => { storage[key] = value }),
+    removeItem: async key => { delete storage[key] },
+  }
+}
+
+describe('taggedCodec', () => {
+  test('should round-trip custom collections, dates, undefined and non-finite numbers through JSON', () => {
+    const createdAt = new Date('2024-05-01T12:00:00.000Z')
+    const state = new Map()
+      .set('list', new List([1, 2]))
+      .set('tags', new Set(['a', 'b']))
+      .set('order', new OrderedMap().set('z', 1).set('a', 2))
+      .set('createdAt', createdAt)
+      .set('missing', undefined)
+      .set('limits', new List([NaN, Infinity, -Infinity]))
+
+    const decoded = taggedCodec.decode(JSON.parse(JSON.stringify(taggedCodec.encode(state))))
+
+    assert.ok(decoded instanceof Map)
+    assert.ok(decoded.get('list') instanceof List)
+    assert.ok(decoded.get('tags') instanceof Set)
+    assert.ok(decoded.get('order') instanceof OrderedMap)
+    assert.deepStrictEqual(Array.from(decoded.get('order').keys()), ['z', 'a'])
+    assert.ok(decoded.get('createdAt') instanceof Date)
+    assert.strictEqual(decoded.get('createdAt').getTime(), createdAt.getTime())
+    assert.ok(decoded.has('missing'))
+    assert.strictEqual(decoded.get('missing'), undefined)
+    assert.deepStrictEqual(decoded.get('limits').toJS(), [NaN, Infinity, -Infinity])
+  })
+
+  test('should keep plain objects that use the tag key as plain objects', () => {
+    const value = { '~t': 'List', v: [1] }
+    const decoded = taggedCodec.decode(JSON.parse(JSON.stringify(taggedCodec.encode(value))))
+    assert.deepStrictEqual(decoded, value)
+  })
+
+  test('should reject values it cannot encode and unknown tags', () => {
+    class Point { }
+    assert.throws(() => taggedCodec.encode({ point: new Point() }), /cannot encode a Point/)
+    assert.throws(() => taggedCodec.decode({ '~t': 'Nope' }), /Unknown tag "Nope"/)
+  })
+})
+
+describe('codecs with persistStateMiddleware', () => {
+  const initialState = fromJS({ tags: [] })
+  const reducer = (state = initialState, action) =>
+    action.type === 'SET_TAGS' ? state.set('tags', new Set(action.payload)) : state
+
+  test('should serialize once for adapters that store strings', async () => {
+    const adapter = createStringAdapter()
+    const persistence = persistStateMiddleware({ key: 'app', adapter, throttleWait: 0 })
+    const store = createGlobalStore(reducer, initialState, { middleware: [persistence], devTools: false })
+    store.dispatch({ type: 'SET_TAGS', payload: ['a'] })
+    await persistence.flush()
+
+    assert.strictEqual(typeof adapter.storage.app, 'string')
+    assert.deepStrictEqual(JSON.parse(adapter.storage.app), { tags: ['a'] })
+  })
+
+  test('should store exactly one layer of JSON through localStorageAdapter', async (t) => {
+    const storage = {}
+    const originalWindow = globalThis.window
+    globalThis.window = {
+      localStorage: {
+        getItem: key => (key in storage ? storage[key] : null),
+        setItem: (key, value) => { storage[key] = value },
+        removeItem: key => { delete storage[key] },
+      },
+    }
+    t.after(() => { globalThis.window = originalWindow })
+    const persistence = persistStateMiddleware({ key: 'app', adapter: localStorageAdapter, throttleWait: 0 })
+    const store = createGlobalStore(reducer, initialState, { middleware: [persistence], devTools: false })
+    store.dispatch({ type: 'SET_TAGS', payload: ['a'] })
+    await persistence.flush()
+
+    assert.deepStrictEqual(JSON.parse(storage.app), { tags: ['a'] })
+    assert.deepStrictEqual(rehydrateState({ key: 'app', adapter: localStorageAdapter }).toJS(), { tags: ['a'] })
+  })
+
+  test('should read state that localStorageAdapter stored as JSON inside JSON', (t) => {
+    const originalWindow = globalThis.window
+    const legacy = { app: JSON.stringify(JSON.stringify({ count: 3 })) }
+    globalThis.window = { localStorage: { getItem: key => (key in legacy ? legacy[key] : null) } }
+    t.after(() => { globalThis.window = originalWindow })
+
+    const restored = rehydrateState({ key: 'app', adapter: localStorageAdapter })
+    assert.deepStrictEqual(restored.toJS(), { count: 3 })
+    const store = createGlobalStore(state => state, restored, { devTools: false })
+    assert.strictEqual(store.getState().get('count'), 3)
+  })
+
+  test('should rehydrate custom collections with the tagged codec', async () => {
+    const adapter = createStringAdapter()
+    const persistence = persistStateMiddleware({ key: 'app', adapter, codec: taggedCodec, throttleWait: 0 })
+    const store = createGlobalStore(reducer, initialState, { middleware: [persistence], devTools: false })
+    store.dispatch({ type: 'SET_TAGS', payload: ['a', 'b'] })
+    await persistence.flush()
+
+    const rehydrated = rehydrateState({ key: 'app', adapter, codec: taggedCodec })
+    assert.ok(rehydrated.get('tags') instanceof Set)
+    assert.deepStrictEqual(Array.from(rehydrated.get('tags')), ['a', 'b'])
+  })
+
+  test('should hand encoded data to adapters that store values', async () => {
+    const adapter = createValueAdapter()
+    const serializer = mock.fn(JSON.stringify)
+    const persistence = persistStateMiddleware({ key: 'app', adapter, serializer, codec: taggedCodec, version: 2, throttleWait: 0 })
+    const store = createGlobalStore(reducer, initialState, { middleware: [persistence], devTools: false })
+    store.dispatch({ type: 'SET_TAGS', payload: ['a'] })
+    await persistence.flush()
+
+    assert.strictEqual(serializer.mock.calls.length, 0)
+    assert.deepStrictEqual(adapter.storage.app, {
+      _persist: { version: 2 },
+      state: { '~t': 'Map', v: [['tags', { '~t': 'Set', v: ['a'] }]] },
+    })
+    const rehydrated = await rehydrateStateAsync({ key: 'app', adapter, codec: taggedCodec, version: 2 })
+    assert.ok(rehydrated.get('tags') instanceof Set)
+  })
+
+  test('should validate the codec', () => {
+    const adapter = createStringAdapter()
+    assert.throws(() => persistStateMiddleware({ key: 'app', adapter, codec: {} }), /expects `codec` to have encode and decode functions/)
+    assert.throws(() => rehydrateState({ key: 'app', adapter, codec: { encode: jsonCodec.encode } }), /expects `codec`/)
+  })
+})
+
+describe('fromJS', () => {
+  test('should keep Dates as leaf values', () => {
+    const createdAt = new Date(0)
+    assert.strictEqual(fromJS({ createdAt }).get('createdAt'), createdAt)
+  })
+})
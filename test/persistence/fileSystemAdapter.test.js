@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, it as test } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readdir, readFile, rm, utimes, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fromJS } from '../../src/utils/immutableUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import { persistStateMiddleware, rehydrateStateAsync } from '../../src/middleware/persistState.js'
+import createFileSystemAdapter from '../../src/persistence/fileSystemAdapter.js'
+
+describe('createFileSystemAdapter', () => {
+  let directory, adapter
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(os.tmpdir(), 'depstate-fs-'))
+    adapter = createFileSystemAdapter({ directory: path.join(directory, 'state') })
+  })
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true })
+  })
+
+  test('should write, read and remove one file per key', async () => {
+    assert.strictEqual(await adapter.getItem('settings'), undefined)
+    await adapter.setItem('settings', '{"theme":"dark"}')
+    await adapter.setItem('session', '{}')
+    assert.strictEqual(await adapter.getItem('settings'), '{"theme":"dark"}')
+    assert.deepStrictEqual((await readdir(adapter.directory)).sort(), ['session.state', 'settings.state'])
+
+    await adapter.removeItem('settings')
+    await adapter.removeItem('settings')
+    assert.strictEqual(await adapter.getItem('settings'), undefined)
+    assert.deepStrictEqual(await readdir(adapter.directory), ['session.state'])
+  })
+
+  test('should map unsafe keys to distinct file names inside the directory', async () => {
+    await adapter.setItem('../escape', 'a')
+    await adapter.setItem('user/1*', 'b')
+    const files = await readdir(adapter.directory)
+    assert.deepStrictEqual(files.sort(), ['..%2Fescape.state', 'user%2F1%2A.state'])
+    assert.strictEqual(await adapter.getItem('../escape'), 'a')
+  })
+
+  test('should leave no temporary or lock files behind and keep the last of concurrent writes', async () => {
+    await Promise.all(Array.from({ length: 5 }, (_, i) => adapter.setItem('counter', String(i))))
+    assert.deepStrictEqual(await readdir(adapter.directory), ['counter.state'])
+    assert.strictEqual(await adapter.getItem('counter'), '4')
+  })
+
+  test('should apply writes and removals of a key in call order', async () => {
+    const operations = [adapter.setItem('counter', '1'), adapter.removeItem('counter'), adapter.setItem('counter', '2')]
+    await Promise.all(operations)
+    assert.strictEqual(await adapter.getItem('counter'), '2')
+
+    await Promise.all([adapter.setItem('counter', '3'), adapter.removeItem('counter')])
+    assert.strictEqual(await adapter.getItem('counter'), undefined)
+  })
+
+  test('should wait for a held lock and time out if it is never released', async () => {
+    await adapter.setItem('counter', '1')
+    const lockPath = path.join(adapter.directory, 'counter.state.lock')
+    await writeFile(lockPath, '')
+
+    setTimeout(() => rm(lockPath), 50)
+    await adapter.setItem('counter', '2')
+    assert.strictEqual(await adapter.getItem('counter'), '2')
+
+    await writeFile(lockPath, '')
+    const impatient = createFileSystemAdapter({ directory: adapter.directory, lockTimeout: 50 })
+    await assert.rejects(impatient.setItem('counter', '3'), /Timed out waiting for the lock on .*counter\.state\.lock\./)
+    assert.strictEqual(await adapter.getItem('counter'), '2')
+  })
+
+  test('should take over a stale lock', async () => {
+    await adapter.setItem('counter', '1')
+    const lockPath = path.join(adapter.directory, 'counter.state.lock')
+    await writeFile(lockPath, '')
+    const longAgo = new Date(Date.now() - 60000)
+    await utimes(lockPath, longAgo, longAgo)
+
+    await adapter.setItem('counter', '2')
+    assert.strictEqual(await readFile(path.join(adapter.directory, 'counter.state'), 'utf8'), '2')
+  })
+
+  test('should reject values that are not strings', async () => {
+    await assert.rejects(adapter.setItem('counter', { count: 1 }), /The file-system adapter stores strings\./)
+    assert.throws(() => createFileSystemAdapter({ directory: '' }), /createFileSystemAdapter expects `directory` to be a non-empty string\./)
+  })
+
+  test('should persist store state across store instances', async () => {
+    const initialState = fromJS({ count: 0 })
+    const reducer = (state = initialState, action) => action.type === 'INCREMENT' ? state.update('count', c => c + 1) : state
+    const run = async () => {
+      const persistence = persistStateMiddleware({ key: 'root', adapter, throttleWait: 0 })
+      const persisted = await rehydrateStateAsync({ key: 'root', adapter })
+      const store = createGlobalStore(reducer, persisted ?? initialState, { middleware: [persistence], devTools: false })
+      store.dispatch({ type: 'INCREMENT' })
+      await persistence.flush()
+      return store.getState().get('count')
+    }
+    assert.strictEqual(await run(), 1)
+    assert.strictEqual(await run(), 2)
+  })
+})
@@ -0,0 +1,215 @@
+import { afterEach, beforeEach, describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS } from '../../src/utils/immutableUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import { persistStateMiddleware, rehydrateStateAsync } from '../../src/middleware/persistState.js'
+import createIndexedDBAdapter from '../../src/persistence/indexedDBAdapter.js'
+
+// A minimal in-memory IndexedDB: enough of open/upgrade/transaction/objectStore for the adapter.
+// Values are structured-cloned on the way in and out, and events fire asynchronously, as in browsers.
+function createInMemoryIndexedDB() {
+  const databases = new Map()
+  const later = fn => setTimeout(fn, 0)
+
+  const openDatabase = (record) => ({
+    get version() {
+      return record.version
+    },
+    objectStoreNames: { contains: name => record.stores.has(name) },
+    createObjectStore: name => record.stores.set(name, new Map()),
+    close() {
+      record.connections.delete(this)
+      if (record.connections.size === 0 && record.pendingUpgrades.length > 0) {
+        record.pendingUpgrades.splice(0).forEach(upgrade => upgrade())
+      }
+    },
+    transaction(storeName, mode) {
+      if (!record.stores.has(storeName)) {
+        throw new DOMException(`No object store named ${storeName}.`, 'NotFoundError')
+      }
+      const data = record.stores.get(storeName)
+      const transaction = {}
+      const request = (operation) => {
+        const req = {}
+        later(() => {
+          try {
+            req.result = operation()
+            req.onsuccess?.()
+            later(() => transaction.oncomplete?.())
+          } catch (error) {
+            req.error = transaction.error = error
+            req.onerror?.()
+            transaction.onerror?.()
+          }
+        })
+        return req
+      }
+      const requireWrite = () => {
+        if (mode !== 'readwrite') throw new DOMException('Read-only transaction.', 'ReadOnlyError')
+      }
+      transaction.objectStore = () => ({
+        get: key => request(() => structuredClone(data.get(key))),
+        put: (value, key) => {
+          const copy = structuredClone(value) // Throws DataCloneError synchronously, like the real API.
+          return request(() => {
+            requireWrite()
+            data.set(key, copy)
+            return key
+          })
+        },
+        delete: key => request(() => {
+          requireWrite()
+          data.delete(key)
+        }),
+      })
+      return transaction
+    },
+  })
+
+  return {
+    databases,
+    open(name, version) {
+      const request = {}
+      later(() => {
+        if (!databases.has(name)) {
+          databases.set(name, {
+            version: 0,
+            stores: new Map(),
+            connections: new Set(),
+            pendingUpgrades: [],
+            get openConnections() {
+              return this.connections.size
+            },
+          })
+        }
+        const record = databases.get(name)
+        const targetVersion = version ?? Math.max(record.version, 1)
+        if (targetVersion < record.version) {
+          request.error = new DOMException('Requested version is lower than the current one.', 'VersionError')
+          request.onerror?.()
+          return
+        }
+        const connect = () => {
+          request.result = openDatabase(record)
+          record.connections.add(request.result)
+          if (targetVersion > record.version) {
+            record.version = targetVersion
+            request.onupgradeneeded?.()
+          }
+          request.onsuccess?.()
+        }
+        if (targetVersion > record.version && record.connections.size > 0) {
+          // Upgrades wait until every other connection has closed, as in browsers.
+          record.connections.forEach(connection => connection.onversionchange?.())
+          if (record.connections.size > 0) {
+            record.pendingUpgrades.push(connect)
+            request.onblocked?.()
+            return
+          }
+        }
+        connect()
+      })
+      return request
+    },
+  }
+}
+
+describe('createIndexedDBAdapter', () => {
+  let indexedDB, adapter
+
+  beforeEach(() => {
+    indexedDB = createInMemoryIndexedDB()
+    adapter = createIndexedDBAdapter({ databaseName: 'app', storeName: 'state', indexedDB })
+  })
+
+  afterEach(async () => {
+    await adapter.close()
+  })
+
+  test('should set, get and remove items asynchronously', async () => {
+    assert.strictEqual(await adapter.getItem('missing'), undefined)
+    await adapter.setItem('user', { name: 'Ada' })
+    assert.deepStrictEqual(await adapter.getItem('user'), { name: 'Ada' })
+    await adapter.removeItem('user')
+    assert.strictEqual(await adapter.getItem('user'), undefined)
+  })
+
+  test('should store structured-clone values without JSON', async () => {
+    const value = { createdAt: new Date(0), tags: new Set(['a']), lookup: new Map([[1, 'one']]), missing: undefined }
+    await adapter.setItem('entities', value)
+    const stored = await adapter.getItem('entities')
+    assert(stored.createdAt instanceof Date)
+    assert(stored.tags instanceof Set)
+    assert.strictEqual(stored.lookup.get(1), 'one')
+    assert('missing' in stored)
+    assert.notStrictEqual(stored, value)
+  })
+
+  test('should use the configured database and object store names', async () => {
+    await adapter.setItem('key', 1)
+    assert.strictEqual(indexedDB.databases.get('app').stores.get('state').get('key'), 1)
+  })
+
+  test('should add its object store to an existing database by upgrading it', async () => {
+    await adapter.setItem('key', 1)
+    const other = createIndexedDBAdapter({ databaseName: 'app', storeName: 'cache', indexedDB })
+    await other.setItem('key', 2)
+    assert.strictEqual(indexedDB.databases.get('app').version, 2)
+    assert.strictEqual(await adapter.getItem('key'), 1)
+    assert.strictEqual(await other.getItem('key'), 2)
+    await other.close()
+  })
+
+  test('should reject instead of hanging when another connection blocks the upgrade', async () => {
+    await adapter.setItem('key', 1)
+    // Stands in for a connection in another tab that ignores versionchange.
+    const foreign = await new Promise(resolve => {
+      const request = indexedDB.open('app')
+      request.onsuccess = () => resolve(request.result)
+    })
+    const other = createIndexedDBAdapter({ databaseName: 'app', storeName: 'cache', indexedDB })
+    await assert.rejects(other.setItem('key', 2), /Opening IndexedDB database "app" is blocked by another connection\./)
+
+    foreign.close()
+    await new Promise(resolve => setTimeout(resolve, 0)) // The late upgrade connection is closed asynchronously.
+    assert.strictEqual(indexedDB.databases.get('app').version, 2)
+    assert.strictEqual(indexedDB.databases.get('app').openConnections, 0)
+    await other.setItem('key', 2)
+    assert.strictEqual(await other.getItem('key'), 2)
+    await other.close()
+  })
+
+  test('close() should release the connection and the next call should reopen it', async () => {
+    await adapter.setItem('key', 1)
+    assert.strictEqual(indexedDB.databases.get('app').openConnections, 1)
+    await adapter.close()
+    assert.strictEqual(indexedDB.databases.get('app').openConnections, 0)
+    assert.strictEqual(await adapter.getItem('key'), 1)
+  })
+
+  test('should reject when a value cannot be cloned or IndexedDB is missing', async () => {
+    await assert.rejects(adapter.setItem('fn', { run: () => { } }), { name: 'DataCloneError' })
+    const unavailable = createIndexedDBAdapter({ indexedDB: undefined })
+    await assert.rejects(unavailable.getItem('key'), /IndexedDB is not available\./)
+  })
+
+  test('should persist and rehydrate store state without a string step', async () => {
+    const initialState = fromJS({ count: 0 })
+    const reducer = (state = initialState, action) => action.type === 'INCREMENT' ? state.update('count', c => c + 1) : state
+    const serializer = mock.fn(JSON.stringify)
+    const persistence = persistStateMiddleware({ key: 'root', adapter, serializer, throttleWait: 0 })
+    const store = createGlobalStore(reducer, initialState, { middleware: [persistence], devTools: false })
+    store.dispatch({ type: 'INCREMENT' })
+    await persistence.flush()
+
+    assert.strictEqual(serializer.mock.calls.length, 0)
+    assert.deepStrictEqual(await adapter.getItem('root'), { count: 1 })
+    const rehydrated = await rehydrateStateAsync({ key: 'root', adapter })
+    assert.deepStrictEqual(rehydrated.toJS(), { count: 1 })
+  })
+
+  test('should validate its options', () => {
+    assert.throws(() => createIndexedDBAdapter({ databaseName: '' }), /createIndexedDBAdapter expects `databaseName` to be a non-empty string\./)
+    assert.throws(() => createIndexedDBAdapter({ storeName: 42 }), /createIndexedDBAdapter expects `storeName` to be a non-empty string\./)
+  })
+})
@@ -29,12 +29,12 @@ describe('localStorageAdapter', () => {
     consoleWarnSpy.mock.restore();
   });
 
-  test('getItem should retrieve and parse item from localStorage', () => {
-    mockLocalStorage.getItem.mockImplementationOnce(() => JSON.stringify({ data: 'test' }));
+  test('getItem should return the stored string without parsing it', () => {
+    mockLocalStorage.getItem.mock.mockImplementationOnce(() => JSON.stringify({ data: 'test' }));
     const item = localStorageAdapter.getItem('myKey');
     assert.strictEqual(mockLocalStorage.getItem.mock.calls.length, 1);
     assert.deepStrictEqual(mockLocalStorage.getItem.mock.calls[0].arguments, ['myKey']);
-    assert.deepStrictEqual(item, { data: 'test' });
+    assert.strictEqual(item, JSON.stringify({ data: 'test' }));
   });
 
   test('getItem should return undefined if item not found', () => {
@@ -43,8 +43,8 @@ describe('localStorageAdapter', () => {
     assert.strictEqual(item, undefined);
   });
 
-  test('getItem should return null on JSON parse error', () => {
-    mockLocalStorage.getItem.mock.mockImplementationOnce(() => 'invalid json');
+  test('getItem should return null if localStorage throws', () => {
+    mockLocalStorage.getItem.mock.mockImplementationOnce(() => { throw new Error('SecurityError'); });
     const item = localStorageAdapter.getItem('myKey');
     assert.strictEqual(item, null);
     assert(consoleErrorSpy.mock.calls.length > 0);
@@ -59,11 +59,11 @@ describe('localStorageAdapter', () => {
   });
 
 
-  test('setItem should stringify and store item in localStorage', () => {
-    const value = { data: 'testValue' };
+  test('setItem should store the serialized string as-is', () => {
+    const value = JSON.stringify({ data: 'testValue' });
     localStorageAdapter.setItem('myKey', value);
     assert.strictEqual(mockLocalStorage.setItem.mock.calls.length, 1);
-    assert.deepStrictEqual(mockLocalStorage.setItem.mock.calls[0].arguments, ['myKey', JSON.stringify(value)]);
+    assert.deepStrictEqual(mockLocalStorage.setItem.mock.calls[0].arguments, ['myKey', value]);
   });
 
   test('setItem should not throw if localStorage not available but log warn', () => {
@@ -73,14 +73,16 @@ describe('localStorageAdapter', () => {
     global.window.localStorage = mockLocalStorage; // Restore for other tests
   });
 
-  test('setItem should log error if JSON.stringify fails', () => {
-    const circularValue = {};
-    circularValue.self = circularValue;
-    localStorageAdapter.setItem('myKey', circularValue);
+  test('setItem should log an error for values that are not strings', () => {
+    localStorageAdapter.setItem('myKey', { data: 'testValue' });
     assert.strictEqual(mockLocalStorage.setItem.mock.calls.length, 0);
     assert(consoleErrorSpy.mock.calls.length > 0);
   });
 
+  test('should declare that it stores strings', () => {
+    assert.strictEqual(localStorageAdapter.storesStrings, true);
+  });
+
   test('removeItem should remove item from localStorage', () => {
     localStorageAdapter.removeItem('myKey');
     assert.strictEqual(mockLocalStorage.removeItem.mock.calls.length, 1);
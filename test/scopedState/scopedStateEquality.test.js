@@ -0,0 +1,78 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS } from '../../src/utils/immutableUtils.js'
+import { effect, state, derive } from '../../src/utils/customVanUtils.js'
+import { createScopedState, deriveScopedState } from '../../src/scopedState.js'
+
+describe('scoped state equality', () => {
+  test('assigning an equal immutable value should not notify dependents', () => {
+    const todos = createScopedState(fromJS([{ id: 1, done: false }]))
+    const original = todos.val
+    const render = mock.fn(() => todos.val)
+    effect(render)
+    render.mock.resetCalls()
+
+    todos.val = fromJS([{ id: 1, done: false }])
+    assert.strictEqual(render.mock.calls.length, 0)
+    assert.strictEqual(todos.val, original)
+
+    todos.val = fromJS([{ id: 1, done: true }])
+    assert.strictEqual(render.mock.calls.length, 1)
+  })
+
+  test('primitives and mutable objects should still use strict equality', () => {
+    const config = createScopedState({ theme: 'dark' })
+    const render = mock.fn(() => config.val)
+    effect(render)
+    render.mock.resetCalls()
+    config.val = { theme: 'dark' }
+    assert.strictEqual(render.mock.calls.length, 1)
+  })
+
+  test('a custom equals option should be used for assignments', () => {
+    const user = createScopedState({ id: 1, name: 'Ada' }, { equals: (a, b) => a.id === b.id })
+    const render = mock.fn(() => user.val)
+    effect(render)
+    render.mock.resetCalls()
+    user.val = { id: 1, name: 'Ada Lovelace' }
+    assert.strictEqual(render.mock.calls.length, 0)
+    assert.strictEqual(user.val.name, 'Ada')
+  })
+
+  test('derived states should keep the previous value when the result is equal', () => {
+    const filter = createScopedState('all')
+    const items = createScopedState(fromJS([1, 2, 3]))
+    const visible = deriveScopedState(() => (filter.val === 'none' ? fromJS([]) : items.val.filter(() => true).map(v => v)))
+    const previous = visible.val
+    const render = mock.fn(() => visible.val)
+    effect(render)
+    render.mock.resetCalls()
+
+    filter.val = 'everything'
+    assert.strictEqual(visible.val, previous)
+    assert.strictEqual(render.mock.calls.length, 0)
+
+    filter.val = 'none'
+    assert.strictEqual(visible.val.size, 0)
+    assert.strictEqual(render.mock.calls.length, 1)
+  })
+
+  test('deriveScopedState should accept a custom equals option', () => {
+    const count = createScopedState(1)
+    const parity = deriveScopedState(() => ({ even: count.val % 2 === 0 }), { equals: (a, b) => a.even === b.even })
+    const render = mock.fn(() => parity.val)
+    effect(render)
+    render.mock.resetCalls()
+    count.val = 3
+    assert.strictEqual(render.mock.calls.length, 0)
+    count.val = 4
+    assert.strictEqual(render.mock.calls.length, 1)
+  })
+
+  test('should reject a non-function equals', () => {
+    assert.throws(() => createScopedState(1, { equals: 'deep' }), /createScopedState expects `equals` to be a function\./)
+    assert.throws(() => deriveScopedState(() => 1, { equals: 1 }), /deriveScopedState expects `equals` to be a function\./)
+    assert.throws(() => state(1, { equals: null }), /state expects `equals` to be a function\./)
+    assert.throws(() => derive(() => 1, { equals: {} }), /derive expects `equals` to be a function\./)
+  })
+})
@@ -0,0 +1,98 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS, isImmutable, Map, List } from '../../src/utils/immutableUtils.js'
+import { effect } from '../../src/utils/customVanUtils.js'
+import { createScopedState } from '../../src/scopedState.js'
+
+describe("createScopedState with useImmutable: 'strict'", () => {
+  test('should convert the initial value and every assignment with fromJS', () => {
+    const form = createScopedState({ name: '' }, { useImmutable: 'strict' })
+    assert(form.val instanceof Map)
+    form.val = { name: 'Ada', tags: ['admin'] }
+    assert(form.val instanceof Map)
+    assert(form.val.get('tags') instanceof List)
+    form.val = [1, 2]
+    assert(form.val instanceof List)
+    form.val = 'plain string'
+    assert.strictEqual(form.val, 'plain string')
+  })
+
+  test('should reject mutable objects that are not plain data', () => {
+    class Point { constructor() { this.x = 1 } }
+    const s = createScopedState(null, { useImmutable: 'strict' })
+    assert.throws(() => { s.val = new Date(0) }, /Strict scoped state cannot hold a mutable Date\./)
+    assert.throws(() => { s.val = new Point() }, /cannot hold a mutable Point/)
+    assert.throws(() => createScopedState(new Point(), { useImmutable: 'strict' }), /cannot hold a mutable Point/)
+    assert.strictEqual(s.val, null)
+  })
+
+  test('should not notify for an equal converted value', () => {
+    const form = createScopedState({ name: 'Ada' }, { useImmutable: 'strict' })
+    const render = mock.fn(() => form.val)
+    effect(render)
+    render.mock.resetCalls()
+    form.val = { name: 'Ada' }
+    assert.strictEqual(render.mock.calls.length, 0)
+  })
+
+  test('useImmutable: true should keep converting only the initial value', () => {
+    const s = createScopedState({ a: 1 }, { useImmutable: true })
+    assert(isImmutable(s.val))
+    s.val = { a: 2 }
+    assert(!isImmutable(s.val))
+  })
+
+  test('should reject unknown useImmutable values', () => {
+    assert.throws(() => createScopedState(1, { useImmutable: 'yes' }), /createScopedState expects `useImmutable` to be a boolean or 'strict'\./)
+  })
+})
+
+describe('scoped state update helpers', () => {
+  test('update, setIn and updateIn should notify once per call', () => {
+    const todos = createScopedState([{ text: 'write tests', done: false }], { useImmutable: 'strict' })
+    const render = mock.fn(() => todos.val)
+    effect(render)
+    render.mock.resetCalls()
+
+    const next = todos.setIn([0, 'done'], true)
+    assert.strictEqual(next, todos.val)
+    assert.strictEqual(todos.val.getIn([0, 'done']), true)
+    assert.strictEqual(render.mock.calls.length, 1)
+
+    todos.updateIn([0, 'text'], text => text.toUpperCase())
+    assert.strictEqual(todos.val.getIn([0, 'text']), 'WRITE TESTS')
+    assert.strictEqual(render.mock.calls.length, 2)
+
+    todos.update(list => list.push({ text: 'ship', done: false }))
+    assert.strictEqual(todos.val.size, 2)
+    assert(todos.val.get(1) instanceof Map)
+    assert.strictEqual(render.mock.calls.length, 3)
+  })
+
+  test('update should work for primitive state and strict mode should convert its result', () => {
+    const count = createScopedState(1)
+    assert.strictEqual(count.update(c => c + 1), 2)
+
+    const strict = createScopedState(null, { useImmutable: 'strict' })
+    strict.update(() => ({ a: 1 }))
+    assert(strict.val instanceof Map)
+  })
+
+  test('setIn and updateIn should require an immutable value', () => {
+    const s = createScopedState({ a: 1 })
+    assert.throws(() => s.setIn(['a'], 2), /setIn requires the scoped state to hold an immutable collection\./)
+    assert.throws(() => s.updateIn(['a'], v => v), /updateIn requires the scoped state to hold an immutable collection\./)
+    assert.throws(() => s.update('nope'), /update expects an updater function\./)
+  })
+
+  test('update helpers should not make the calling effect depend on the state', () => {
+    const source = createScopedState(0)
+    const counter = createScopedState(0)
+    const run = mock.fn(() => { if (source.val > 0) counter.update(c => c + 1) })
+    effect(run)
+    source.val = 1
+    assert.strictEqual(run.mock.calls.length, 2)
+    counter.update(c => c + 1)
+    assert.strictEqual(run.mock.calls.length, 2)
+  })
+})
@@ -0,0 +1,144 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS } from '../../src/utils/immutableUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import { createAsyncAction } from '../../src/asyncAction.js'
+
+describe('createAsyncAction', () => {
+  const initialState = fromJS({ user: null, status: 'idle', error: null, requestId: null })
+  const reducer = (state = initialState, action) => {
+    switch (action.type) {
+      case 'users/fetch/pending':
+        return state.set('status', 'loading').set('requestId', action.meta.requestId)
+      case 'users/fetch/fulfilled':
+        return state.set('status', 'idle').set('user', fromJS(action.payload))
+      case 'users/fetch/rejected':
+        return state.set('status', 'failed').set('error', action.error.message)
+      default:
+        return state
+    }
+  }
+
+  const setup = (payloadCreator, options) => {
+    const fetchUser = createAsyncAction('users/fetch', payloadCreator, options)
+    const seen = []
+    const recorder = () => next => action => {
+      seen.push(action)
+      return next(action)
+    }
+    const store = createGlobalStore({
+      reducer,
+      initialState,
+      devTools: false,
+      middleware: [recorder],
+      dependencies: { api: { getUser: async (id) => ({ id, name: 'Ada' }) } },
+      actions: { fetchUser },
+    })
+    return { fetchUser, store, seen }
+  }
+
+  test('store.actions should resolve with the result after pending and fulfilled', async () => {
+    const { store, seen } = setup((id, { dependencies }) => dependencies.api.getUser(id))
+
+    const pending = store.actions.fetchUser(7)
+    assert.strictEqual(store.getState().get('status'), 'loading')
+    const user = await pending
+
+    assert.deepStrictEqual(user, { id: 7, name: 'Ada' })
+    assert.deepStrictEqual(seen.map(a => a.type), ['users/fetch/pending', 'users/fetch/fulfilled'])
+    assert.strictEqual(seen[0].meta.requestId, pending.requestId)
+    assert.strictEqual(seen[1].meta.requestId, pending.requestId)
+    assert.strictEqual(seen[1].meta.arg, 7)
+    assert.deepStrictEqual(store.getState().get('user').toJS(), { id: 7, name: 'Ada' })
+    assert.strictEqual(store.getState().get('requestId'), pending.requestId)
+  })
+
+  test('should dispatch rejected with a serialized error and reject the promise', async () => {
+    const { store, seen } = setup(async () => { throw new TypeError('Network down') })
+
+    await assert.rejects(store.actions.fetchUser(1), /Network down/)
+    assert.deepStrictEqual(seen[1].error, { name: 'TypeError', message: 'Network down' })
+    assert.strictEqual(seen[1].meta.aborted, false)
+    assert.strictEqual(store.getState().get('error'), 'Network down')
+  })
+
+  test('each call should get its own request ID', async () => {
+    const { store } = setup(async id => id)
+    const first = store.actions.fetchUser(1)
+    const second = store.actions.fetchUser(2)
+    assert.notStrictEqual(first.requestId, second.requestId)
+    assert.deepStrictEqual(await Promise.all([first, second]), [1, 2])
+  })
+
+  test('abort() should settle the request and dispatch an aborted rejection', async () => {
+    let receivedSignal
+    const { store, seen } = setup((id, { signal }) => {
+      receivedSignal = signal
+      return new Promise(() => { })
+    })
+
+    const request = store.actions.fetchUser(1)
+    request.abort()
+    await assert.rejects(request, { name: 'AbortError' })
+    assert.strictEqual(receivedSignal.aborted, true)
+    assert.strictEqual(seen[1].type, 'users/fetch/rejected')
+    assert.strictEqual(seen[1].meta.aborted, true)
+  })
+
+  test('aborting or failing without awaiting should not cause an unhandled rejection', async () => {
+    const unhandled = []
+    const onUnhandled = reason => unhandled.push(reason)
+    process.on('unhandledRejection', onUnhandled)
+    try {
+      const { store, seen } = setup(id => (id === 1 ? new Promise(() => { }) : Promise.reject(new Error('Network down'))))
+      store.actions.fetchUser(1).abort()
+      store.actions.fetchUser(2)
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      assert.deepStrictEqual(unhandled, [])
+      assert.deepStrictEqual(seen.filter(a => a.type === 'users/fetch/rejected').map(a => a.meta.aborted), [true, false])
+    } finally {
+      process.off('unhandledRejection', onUnhandled)
+    }
+  })
+
+  test('should follow an abort signal passed by the caller', async () => {
+    const { store, seen } = setup(async () => 'never used')
+    const controller = new AbortController()
+    controller.abort(new Error('Left the page'))
+
+    await assert.rejects(store.actions.fetchUser(1, { signal: controller.signal }), /Left the page/)
+    assert.deepStrictEqual(seen.map(a => a.type), ['users/fetch/pending', 'users/fetch/rejected'])
+  })
+
+  test('condition returning false should skip the request entirely', async () => {
+    const payloadCreator = mock.fn(async () => 'user')
+    const condition = mock.fn((id, { getState }) => getState().get('status') !== 'loading')
+    const { store, seen } = setup(payloadCreator, { condition })
+
+    const first = store.actions.fetchUser(1)
+    const skipped = store.actions.fetchUser(1)
+    assert.strictEqual(await skipped, undefined)
+    assert.strictEqual(await first, 'user')
+    assert.strictEqual(payloadCreator.mock.calls.length, 1)
+    assert.strictEqual(seen.length, 2)
+    assert.deepStrictEqual(condition.mock.calls[0].arguments[0], 1)
+  })
+
+  test('should expose lifecycle action creators and validate its arguments', () => {
+    const fetchUser = createAsyncAction('users/fetch', async () => { })
+    assert.strictEqual(fetchUser.typePrefix, 'users/fetch')
+    assert.strictEqual(fetchUser.pending.type, 'users/fetch/pending')
+    assert.strictEqual(fetchUser.fulfilled.type, 'users/fetch/fulfilled')
+    assert.strictEqual(`${fetchUser.rejected}`, 'users/fetch/rejected')
+    assert.deepStrictEqual(fetchUser.fulfilled('data', 'id-1', 3), {
+      type: 'users/fetch/fulfilled',
+      payload: 'data',
+      meta: { requestId: 'id-1', arg: 3, requestStatus: 'fulfilled' },
+    })
+
+    assert.throws(() => createAsyncAction('', async () => { }), /createAsyncAction expects `type` to be a non-empty string\./)
+    assert.throws(() => createAsyncAction('x'), /createAsyncAction expects the payload creator to be a function\./)
+    assert.throws(() => createAsyncAction('x', async () => { }, { condition: true }), /createAsyncAction expects `condition` to be a function\./)
+  })
+})
@@ -0,0 +1,124 @@
+import { afterEach, beforeEach, describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS, isImmutable } from '../../src/utils/immutableUtils.js'
+import applyMiddleware from '../../src/applyMiddleware.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+
+describe('createGlobalStore with a config object', () => {
+  const initialState = fromJS({ counter: 0 })
+  const reducer = (state = initialState, action) => {
+    if (action.type === 'INCREMENT') {
+      return state.update('counter', c => c + 1)
+    }
+    return state
+  }
+
+  test('should accept { reducer, initialState }', () => {
+    const store = createGlobalStore({ reducer, initialState })
+    assert(isImmutable(store.getState()))
+    store.dispatch({ type: 'INCREMENT' })
+    assert.strictEqual(store.getState().get('counter'), 1)
+  })
+
+  test('should let the reducer define the initial state when none is given', () => {
+    const store = createGlobalStore({ reducer })
+    assert.strictEqual(store.getState().get('counter'), 0)
+  })
+
+  test('should still support the positional signature', () => {
+    const store = createGlobalStore(reducer, initialState, { actions: { increment: () => ({ type: 'INCREMENT' }) } })
+    store.actions.increment()
+    assert.strictEqual(store.getState().get('counter'), 1)
+  })
+
+  test('should apply the `middleware` array in order, after the thunk middleware', () => {
+    const log = []
+    const first = () => next => action => {
+      log.push(`first: ${action.type}`)
+      return next(action)
+    }
+    const second = () => next => action => {
+      log.push(`second: ${action.type}`)
+      return next(action)
+    }
+    const store = createGlobalStore({ reducer, initialState, middleware: [first, second] })
+
+    store.dispatch(dispatch => dispatch({ type: 'INCREMENT' }))
+    assert.deepStrictEqual(log, ['first: INCREMENT', 'second: INCREMENT'])
+    assert.strictEqual(store.getState().get('counter'), 1)
+  })
+
+  test('should combine `middleware` with an explicit `enhancer`', () => {
+    const log = []
+    const fromArray = () => next => action => {
+      log.push('array')
+      return next(action)
+    }
+    const fromEnhancer = () => next => action => {
+      log.push('enhancer')
+      return next(action)
+    }
+    const store = createGlobalStore({
+      reducer,
+      initialState,
+      middleware: [fromArray],
+      enhancer: applyMiddleware(fromEnhancer),
+    })
+    store.dispatch({ type: 'INCREMENT' })
+    assert.deepStrictEqual(log, ['array', 'enhancer'])
+  })
+
+  test('should inject `dependencies` into thunks', () => {
+    const logger = { log: mock.fn() }
+    const store = createGlobalStore({ reducer, initialState, dependencies: { logger } })
+    store.dispatch((dispatch, getState, { logger }) => logger.log('hello'))
+    assert.deepStrictEqual(logger.log.mock.calls[0].arguments, ['hello'])
+  })
+
+  test('should throw if the reducer is missing or not a function', () => {
+    assert.throws(() => createGlobalStore({ initialState }), /Expected the reducer to be a function\./)
+    assert.throws(() => createGlobalStore('reducer'), /Expected the reducer to be a function\./)
+  })
+
+  test('should throw if `middleware` is not an array of functions', () => {
+    assert.throws(() => createGlobalStore({ reducer, middleware: () => { } }), /Expected `middleware` to be an array of middleware functions\./)
+    assert.throws(() => createGlobalStore({ reducer, middleware: ['nope'] }), /Expected `middleware` to be an array of middleware functions\./)
+  })
+
+  test('should still validate that the initial state is immutable', () => {
+    assert.throws(() => createGlobalStore({ reducer, initialState: { counter: 0 } }), /Initial state must be an Immutable.js structure if provided\./)
+  })
+})
+
+describe('createGlobalStore `devTools` flag', () => {
+  const initialState = fromJS({ counter: 0 })
+  const reducer = (state = initialState) => state
+  let originalGlobalWindow
+  let devToolsCompose
+
+  beforeEach(() => {
+    originalGlobalWindow = global.window
+    devToolsCompose = mock.fn(() => (enhancer) => enhancer)
+    global.window = { __REDUX_DEVTOOLS_EXTENSION_COMPOSE__: devToolsCompose }
+  })
+
+  afterEach(() => {
+    global.window = originalGlobalWindow
+  })
+
+  test('should hook up the DevTools extension by default', () => {
+    createGlobalStore({ reducer, initialState })
+    assert.strictEqual(devToolsCompose.mock.calls.length, 1)
+  })
+
+  test('should skip the DevTools extension when devTools is false', () => {
+    const store = createGlobalStore({ reducer, initialState, devTools: false })
+    assert.strictEqual(devToolsCompose.mock.calls.length, 0)
+    assert.strictEqual(store.getState().get('counter'), 0)
+  })
+
+  test('should honor devTools: false in the positional options too', () => {
+    createGlobalStore(reducer, initialState, { devTools: false })
+    assert.strictEqual(devToolsCompose.mock.calls.length, 0)
+  })
+})
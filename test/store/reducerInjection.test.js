@@ -0,0 +1,115 @@
+import { afterEach, beforeEach, describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { fromJS } from '../../src/utils/immutableUtils.js'
+import { createStore, combineReducers } from '../../src/utils/customReduxUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+
+const counter = (state = fromJS({ count: 0 }), action) => {
+  if (action.type === 'INCREMENT') return state.update('count', c => c + 1)
+  return state
+}
+const todos = (state = fromJS([]), action) => {
+  if (action.type === 'ADD_TODO') return state.push(action.text)
+  return state
+}
+
+describe('createStore replaceReducer', () => {
+  test('should swap the reducer and dispatch a REPLACE action', () => {
+    const seen = []
+    const store = createStore((state = 0) => state)
+    store.replaceReducer((state, action) => {
+      seen.push(action.type)
+      return action.type === 'INCREMENT' ? state + 1 : state
+    })
+    store.dispatch({ type: 'INCREMENT' })
+    assert.deepStrictEqual(seen, ['@@redux/REPLACE', 'INCREMENT'])
+    assert.strictEqual(store.getState(), 1)
+  })
+
+  test('should throw if the next reducer is not a function', () => {
+    const store = createStore((state = 0) => state)
+    assert.throws(() => store.replaceReducer(null), /Expected the nextReducer to be a function\./)
+  })
+})
+
+describe('createGlobalStore reducer replacement and injection', () => {
+  let consoleWarnSpy
+
+  beforeEach(() => {
+    consoleWarnSpy = mock.method(console, 'warn', () => { })
+  })
+
+  afterEach(() => {
+    consoleWarnSpy.mock.restore()
+  })
+
+  test('store.replaceReducer should keep the state and re-run the immutability check', () => {
+    const store = createGlobalStore({ reducer: combineReducers({ counter }) })
+    store.dispatch({ type: 'INCREMENT' })
+
+    store.replaceReducer(combineReducers({ counter, todos }))
+    assert.deepStrictEqual(store.getState().toJS(), { counter: { count: 1 }, todos: [] })
+
+    assert.throws(() => store.replaceReducer(() => ({ plain: true })), /Reducer must return an Immutable.js structure\./)
+  })
+
+  test('injectReducer should add and initialize a slice on a slice-map store', () => {
+    const store = createGlobalStore({ reducer: { counter } })
+    store.injectReducer('todos', todos)
+    assert.deepStrictEqual(store.getState().toJS(), { counter: { count: 0 }, todos: [] })
+
+    store.dispatch({ type: 'ADD_TODO', text: 'lazy feature' })
+    store.dispatch({ type: 'INCREMENT' })
+    assert.deepStrictEqual(store.getState().toJS(), { counter: { count: 1 }, todos: ['lazy feature'] })
+  })
+
+  test('ejectReducer should remove the slice and its state without warnings', () => {
+    const store = createGlobalStore({ reducer: { counter } })
+    store.injectReducer('todos', todos)
+    store.dispatch({ type: 'ADD_TODO', text: 'temporary' })
+
+    store.ejectReducer('todos')
+    assert.deepStrictEqual(store.getState().toJS(), { counter: { count: 0 } })
+    assert.strictEqual(consoleWarnSpy.mock.calls.length, 0)
+
+    store.dispatch({ type: 'ADD_TODO', text: 'ignored' })
+    assert.strictEqual(store.getState().get('todos'), undefined)
+  })
+
+  test('injectReducer should layer slices on top of a plain root reducer', () => {
+    const root = (state = fromJS({ counter: 0 }), action) =>
+      action.type === 'INCREMENT' ? state.update('counter', c => c + 1) : state
+    const store = createGlobalStore(root)
+
+    store.injectReducer('todos', todos)
+    store.dispatch({ type: 'ADD_TODO', text: 'first' })
+    store.dispatch({ type: 'INCREMENT' })
+    assert.deepStrictEqual(store.getState().toJS(), { counter: 1, todos: ['first'] })
+
+    const before = store.getState()
+    store.dispatch({ type: 'UNRELATED' })
+    assert.strictEqual(store.getState(), before)
+  })
+
+  test('injected reducers should survive replaceReducer', () => {
+    const store = createGlobalStore({ reducer: { counter } })
+    store.injectReducer('todos', todos)
+    store.replaceReducer({ counter, extra: (state = fromJS({ on: true })) => state })
+    assert.deepStrictEqual(Object.keys(store.getState().toJS()).sort(), ['counter', 'extra', 'todos'])
+  })
+
+  test('injecting the same reducer twice should not dispatch another REPLACE', () => {
+    const listener = mock.fn()
+    const store = createGlobalStore({ reducer: { counter } })
+    store.subscribe(listener)
+    store.injectReducer('todos', todos)
+    store.injectReducer('todos', todos)
+    assert.strictEqual(listener.mock.calls.length, 1)
+  })
+
+  test('injectReducer should validate its arguments', () => {
+    const store = createGlobalStore({ reducer: { counter } })
+    assert.throws(() => store.injectReducer('', todos), /Expected the key to be a non-empty string\./)
+    assert.throws(() => store.injectReducer('todos', null), /Expected the reducer to be a function\./)
+  })
+})
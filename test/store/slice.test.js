@@ -0,0 +1,84 @@
+import { describe, it as test } from 'node:test';
+import assert from 'node:assert';
+import { fromJS, isImmutable, List } from '../../src/utils/immutableUtils.js'
+import { createGlobalStore } from '../../src/globalStore.js'
+import { createSlice } from '../../src/slice.js'
+
+describe('createSlice', () => {
+  const todosSlice = createSlice({
+    name: 'todos',
+    initialState: { items: [], filter: 'all' },
+    reducers: {
+      addTodo: {
+        reducer: (state, action) => state.update('items', items => items.push(fromJS(action.payload))),
+        prepare: (text, id) => ({ payload: { id, text, done: false } }),
+      },
+      toggleTodo: (state, action) => state.updateIn(['items', action.payload, 'done'], done => !done),
+      setFilter: (state, action) => state.set('filter', action.payload),
+    },
+  })
+
+  test('should generate namespaced action types and creators', () => {
+    const { actions } = todosSlice
+    assert.strictEqual(actions.setFilter.type, 'todos/setFilter')
+    assert.strictEqual(`${actions.toggleTodo}`, 'todos/toggleTodo')
+    assert.deepStrictEqual(actions.setFilter('done'), { type: 'todos/setFilter', payload: 'done' })
+    assert.deepStrictEqual(actions.addTodo('write docs', 1), {
+      type: 'todos/addTodo',
+      payload: { id: 1, text: 'write docs', done: false },
+    })
+    assert.strictEqual(actions.setFilter.match({ type: 'todos/setFilter' }), true)
+    assert.strictEqual(actions.setFilter.match({ type: 'todos/addTodo' }), false)
+  })
+
+  test('should convert the initial state and leave unknown actions alone', () => {
+    const initial = todosSlice.getInitialState()
+    assert(isImmutable(initial))
+    assert(initial.get('items') instanceof List)
+    assert.strictEqual(todosSlice.reducer(undefined, { type: '@@INIT' }), initial)
+    assert.strictEqual(todosSlice.reducer(initial, { type: 'setFilter', payload: 'x' }), initial)
+  })
+
+  test('should plug into createGlobalStore as reducer and actions', () => {
+    const store = createGlobalStore({
+      reducer: todosSlice.reducer,
+      initialState: todosSlice.getInitialState(),
+      actions: todosSlice.actions,
+      devTools: false,
+    })
+    store.actions.addTodo('write docs', 1)
+    store.actions.toggleTodo(0)
+    store.actions.setFilter('done')
+    assert.deepStrictEqual(store.getState().toJS(), {
+      items: [{ id: 1, text: 'write docs', done: true }],
+      filter: 'done',
+    })
+  })
+
+  test('should work as a slice reducer in a reducer map', () => {
+    const counterSlice = createSlice({
+      name: 'counter',
+      initialState: { value: 0 },
+      reducers: { increment: (state, action) => state.update('value', v => v + (action.payload ?? 1)) },
+    })
+    const store = createGlobalStore({
+      reducer: { counter: counterSlice.reducer, todos: todosSlice.reducer },
+      actions: counterSlice.actions,
+      devTools: false,
+    })
+    store.actions.increment()
+    store.actions.increment(5)
+    assert.strictEqual(store.getState().getIn(['counter', 'value']), 6)
+    assert.strictEqual(store.getState().getIn(['todos', 'filter']), 'all')
+    assert.deepStrictEqual(Object.keys(counterSlice.caseReducers), ['increment'])
+  })
+
+  test('should validate its config', () => {
+    assert.throws(() => createSlice({ reducers: {} }), /createSlice expects `name` to be a non-empty string\./)
+    assert.throws(() => createSlice({ name: 'x' }), /createSlice expects `reducers` to be an object of case reducers\./)
+    assert.throws(() => createSlice({ name: 'x', initialState: 0, reducers: {} }), /createSlice expects `initialState` to be an immutable collection, a plain object or an array\./)
+    assert.throws(() => createSlice({ name: 'x', initialState: {}, reducers: { a: 'nope' } }), /createSlice expects the case reducer "a" to be a function or \{ reducer, prepare \}\./)
+    const slice = createSlice({ name: 'x', initialState: {}, reducers: { a: { reducer: s => s, prepare: () => 'nope' } } })
+    assert.throws(() => slice.actions.a(), /The prepare callback for "x\/a" must return an object\./)
+  })
+})
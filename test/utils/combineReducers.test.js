@@ -0,0 +1,93 @@
+import { afterEach, beforeEach, describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { combineReducers } from '../../src/utils/customReduxUtils.js';
+import { Map, fromJS } from '../../src/utils/customImmutableUtils.js';
+import { createGlobalStore } from '../../src/globalStore.js';
+
+describe('combineReducers', () => {
+  const counter = (state = fromJS({ count: 0 }), action) => {
+    if (action.type === 'INCREMENT') return state.update('count', c => c + 1)
+    return state
+  }
+  const todos = (state = fromJS([]), action) => {
+    if (action.type === 'ADD_TODO') return state.push(action.text)
+    return state
+  }
+  let consoleWarnSpy
+
+  beforeEach(() => {
+    consoleWarnSpy = mock.method(console, 'warn', () => { })
+  })
+
+  afterEach(() => {
+    consoleWarnSpy.mock.restore()
+  })
+
+  test('should build a custom Map from the slice reducers', () => {
+    const reducer = combineReducers({ counter, todos })
+    const state = reducer(undefined, { type: '@@INIT' })
+    assert(state instanceof Map)
+    assert.deepStrictEqual(state.toJS(), { counter: { count: 0 }, todos: [] })
+  })
+
+  test('should pass each slice reducer only its own slice', () => {
+    const reducer = combineReducers({ counter, todos })
+    let state = reducer(undefined, { type: '@@INIT' })
+    state = reducer(state, { type: 'INCREMENT' })
+    state = reducer(state, { type: 'ADD_TODO', text: 'write tests' })
+    assert.deepStrictEqual(state.toJS(), { counter: { count: 1 }, todos: ['write tests'] })
+  })
+
+  test('should preserve reference identity when no slice changes', () => {
+    const reducer = combineReducers({ counter, todos })
+    const state = reducer(undefined, { type: '@@INIT' })
+    assert.strictEqual(reducer(state, { type: 'UNKNOWN' }), state)
+
+    const next = reducer(state, { type: 'INCREMENT' })
+    assert.notStrictEqual(next, state)
+    assert.strictEqual(next.get('todos'), state.get('todos'))
+  })
+
+  test('should warn once about unknown keys in the initial state and drop them', () => {
+    const reducer = combineReducers({ counter })
+    const initialState = fromJS({ counter: { count: 5 }, stale: true })
+
+    const state = reducer(initialState, { type: '@@INIT' })
+    assert.deepStrictEqual(state.toJS(), { counter: { count: 5 } })
+    assert.strictEqual(consoleWarnSpy.mock.calls.length, 1)
+    assert.match(consoleWarnSpy.mock.calls[0].arguments[0], /Unexpected key "stale" found/)
+
+    reducer(initialState, { type: 'ANOTHER' })
+    assert.strictEqual(consoleWarnSpy.mock.calls.length, 1)
+  })
+
+  test('should name the slice that returned undefined', () => {
+    const broken = (state = fromJS({}), action) => (action.type === 'BREAK' ? undefined : state)
+    const reducer = combineReducers({ counter, broken })
+    const state = reducer(undefined, { type: '@@INIT' })
+    assert.throws(() => reducer(state, { type: 'BREAK' }), /Reducer "broken" returned undefined when handling action "BREAK"/)
+  })
+
+  test('should name the slice that returned a non-immutable value', () => {
+    const plain = (state = fromJS({}), action) => (action.type === 'PLAIN' ? { oops: true } : state)
+    const reducer = combineReducers({ counter, plain })
+    const state = reducer(undefined, { type: '@@INIT' })
+    assert.throws(() => reducer(state, { type: 'PLAIN' }), /Reducer "plain" returned a non-immutable value when handling action "PLAIN"/)
+  })
+
+  test('should throw at creation if a slice reducer has no initial state', () => {
+    assert.throws(() => combineReducers({ noInit: (state) => state }), /Reducer "noInit" returned undefined during initialization/)
+  })
+
+  test('should ignore and warn about non-function reducers', () => {
+    const reducer = combineReducers({ counter, notAReducer: 42 })
+    assert(consoleWarnSpy.mock.calls.some(call => call.arguments[0] === 'No reducer provided for key "notAReducer".'))
+    assert.deepStrictEqual(reducer(undefined, { type: '@@INIT' }).toJS(), { counter: { count: 0 } })
+  })
+
+  test('should work as the root reducer of createGlobalStore', () => {
+    const store = createGlobalStore({ reducer: combineReducers({ counter, todos }) })
+    store.dispatch({ type: 'INCREMENT' })
+    assert.strictEqual(store.getState().getIn(['counter', 'count']), 1)
+  })
+})
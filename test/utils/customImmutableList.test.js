@@ -0,0 +1,113 @@
+import { describe, it as test } from 'node:test';
+import assert from 'node:assert';
+import { Map, List, fromJS } from '../../src/utils/customImmutableUtils.js';
+
+describe('List sequence API', () => {
+  const list = fromJS([1, 2, 3])
+
+  test('size, first and last', () => {
+    assert.strictEqual(list.size, 3)
+    assert.strictEqual(new List().size, 0)
+    assert.strictEqual(list.first(), 1)
+    assert.strictEqual(list.last(), 3)
+    assert.strictEqual(new List().first('none'), 'none')
+    assert.strictEqual(new List().last('none'), 'none')
+  })
+
+  test('insert and unshift', () => {
+    assert.deepStrictEqual(list.insert(1, 'x').toJS(), [1, 'x', 2, 3])
+    assert.deepStrictEqual(list.insert(10, 'end').toJS(), [1, 2, 3, 'end'])
+    assert.deepStrictEqual(list.insert(-1, 'x').toJS(), [1, 2, 'x', 3])
+    assert.deepStrictEqual(list.unshift('a', 'b').toJS(), ['a', 'b', 1, 2, 3])
+    assert(list.insert(0, { a: 1 }).first() instanceof Map)
+    assert.deepStrictEqual(list.toJS(), [1, 2, 3])
+  })
+
+  test('pop and shift return the remaining List', () => {
+    assert.deepStrictEqual(list.pop().toJS(), [1, 2])
+    assert.deepStrictEqual(list.shift().toJS(), [2, 3])
+    assert.strictEqual(new List().pop().size, 0)
+    assert.deepStrictEqual(list.pop().push(4).toJS(), [1, 2, 4])
+  })
+
+  test('pop keeps cached hash codes consistent across trie levels', () => {
+    let large = new List(Array.from({ length: 100 }, (_, i) => i))
+    large.hashCode()
+    for (let i = 0; i < 70; i++) large = large.pop()
+    assert.strictEqual(large.size, 30)
+    assert.strictEqual(large.last(), 29)
+    assert.strictEqual(large.hashCode(), fromJS(large.toJS()).hashCode())
+    assert(large.equals(new List(Array.from({ length: 30 }, (_, i) => i))))
+  })
+
+  test('splice removes and inserts like Array.prototype.splice', () => {
+    assert.deepStrictEqual(list.splice(1, 1).toJS(), [1, 3])
+    assert.deepStrictEqual(list.splice(1, 1, 'a', 'b').toJS(), [1, 'a', 'b', 3])
+    assert.deepStrictEqual(list.splice(-1).toJS(), [1, 2])
+    assert.deepStrictEqual(list.splice(1).toJS(), [1])
+    assert.strictEqual(list.splice(1, 0), list)
+  })
+
+  test('slice supports negative indices', () => {
+    assert.deepStrictEqual(list.slice(1).toJS(), [2, 3])
+    assert.deepStrictEqual(list.slice(0, -1).toJS(), [1, 2])
+    assert.deepStrictEqual(list.slice(-2, -1).toJS(), [2])
+    assert.deepStrictEqual(list.slice(2, 1).toJS(), [])
+    assert.strictEqual(list.slice(), list)
+  })
+
+  test('concat appends Lists, arrays and values', () => {
+    const result = list.concat(fromJS([4]), [5, { six: 6 }], 7)
+    assert.deepStrictEqual(result.toJS(), [1, 2, 3, 4, 5, { six: 6 }, 7])
+    assert(result.get(5) instanceof Map)
+    assert.strictEqual(list.concat(), list)
+  })
+
+  test('map, filter and reduce', () => {
+    const mapped = list.map((value, index) => value * 10 + index)
+    assert(mapped instanceof List)
+    assert.deepStrictEqual(mapped.toJS(), [10, 21, 32])
+    assert.deepStrictEqual(list.filter(value => value !== 2).toJS(), [1, 3])
+    assert.strictEqual(list.filter(() => true), list)
+    assert.strictEqual(list.reduce((sum, value) => sum + value, 0), 6)
+    assert.strictEqual(list.reduce((sum, value) => sum + value), 6)
+    assert.throws(() => new List().reduce((a, b) => a + b), TypeError)
+  })
+
+  test('find, findIndex, indexOf and includes', () => {
+    const todos = fromJS([{ id: 1 }, { id: 2 }])
+    assert.strictEqual(todos.find(todo => todo.get('id') === 2), todos.get(1))
+    assert.strictEqual(todos.find(todo => todo.get('id') === 3, 'none'), 'none')
+    assert.strictEqual(todos.findIndex(todo => todo.get('id') === 2), 1)
+    assert.strictEqual(todos.findIndex(() => false), -1)
+    assert.strictEqual(todos.indexOf(fromJS({ id: 2 })), 1)
+    assert.strictEqual(todos.includes(fromJS({ id: 3 })), false)
+    assert.strictEqual(list.includes(2), true)
+  })
+
+  test('sort and sortBy return new sorted Lists', () => {
+    const unsorted = fromJS([3, 1, 10, 2])
+    assert.deepStrictEqual(unsorted.sort().toJS(), [1, 2, 3, 10])
+    assert.deepStrictEqual(unsorted.sort((a, b) => b - a).toJS(), [10, 3, 2, 1])
+    assert.deepStrictEqual(unsorted.toJS(), [3, 1, 10, 2])
+
+    const people = fromJS([{ name: 'b', age: 30 }, { name: 'a', age: 20 }, { name: 'c', age: 20 }])
+    assert.deepStrictEqual(people.sortBy(p => p.get('age')).map(p => p.get('name')).toJS(), ['a', 'c', 'b'])
+    assert.deepStrictEqual(people.sortBy(p => p.get('name'), (a, b) => (a < b ? 1 : -1)).map(p => p.get('name')).toJS(), ['c', 'b', 'a'])
+  })
+
+  test('iteration with for...of, spread and forEach', () => {
+    assert.deepStrictEqual([...list], [1, 2, 3])
+    const seen = []
+    for (const value of list) seen.push(value)
+    assert.deepStrictEqual(seen, [1, 2, 3])
+
+    const visited = []
+    const count = list.forEach((value, index) => {
+      visited.push([index, value])
+      return index < 1
+    })
+    assert.deepStrictEqual(visited, [[0, 1], [1, 2]])
+    assert.strictEqual(count, 2)
+  })
+})
@@ -0,0 +1,108 @@
+import { describe, it as test } from 'node:test';
+import assert from 'node:assert';
+import { Map, List, fromJS } from '../../src/utils/customImmutableUtils.js';
+
+describe('Map collection API', () => {
+  const map = fromJS({ a: 1, b: { c: 2, d: [3, 4] }, e: null })
+
+  test('size, has and hasIn', () => {
+    assert.strictEqual(map.size, 3)
+    assert.strictEqual(new Map().size, 0)
+    assert.strictEqual(map.has('a'), true)
+    assert.strictEqual(map.has('e'), true)
+    assert.strictEqual(map.has('z'), false)
+    assert.strictEqual(map.hasIn(['b', 'c']), true)
+    assert.strictEqual(map.hasIn(['b', 'd', 1]), true)
+    assert.strictEqual(map.hasIn(['b', 'd', 2]), false)
+    assert.strictEqual(map.hasIn(['a', 'x']), false)
+  })
+
+  test('delete and remove return new Maps and leave the original untouched', () => {
+    const without = map.delete('a')
+    assert.strictEqual(without.has('a'), false)
+    assert.strictEqual(without.size, 2)
+    assert.strictEqual(map.get('a'), 1)
+    assert.deepStrictEqual(map.remove('b').toJS(), { a: 1, e: null })
+    assert.strictEqual(map.delete('missing'), map)
+  })
+
+  test('delete should work on large maps and keep hash codes consistent', () => {
+    const obj = {}
+    for (let i = 0; i < 500; i++) obj[`k${i}`] = i
+    let large = fromJS(obj)
+    large.hashCode()
+    for (let i = 0; i < 500; i += 2) large = large.delete(`k${i}`)
+    assert.strictEqual(large.size, 250)
+    assert.strictEqual(large.get('k1'), 1)
+    assert.strictEqual(large.get('k2'), undefined)
+    assert.strictEqual(large.hashCode(), fromJS(large.toJS()).hashCode())
+    for (let i = 1; i < 500; i += 2) large = large.delete(`k${i}`)
+    assert.strictEqual(large.size, 0)
+    assert(large.equals(new Map()))
+  })
+
+  test('deleteIn removes nested keys and indices', () => {
+    assert.deepStrictEqual(map.deleteIn(['b', 'c']).toJS(), { a: 1, b: { d: [3, 4] }, e: null })
+    assert.deepStrictEqual(map.deleteIn(['b', 'd', 0]).getIn(['b', 'd']).toJS(), [4])
+    assert.strictEqual(map.deleteIn(['b', 'missing', 'x']), map)
+    assert.throws(() => map.deleteIn([]), /Map.deleteIn requires a non-empty path\./)
+  })
+
+  test('merge shallowly combines Maps and plain objects', () => {
+    const merged = map.merge({ a: 10, f: { g: 1 } }, fromJS({ e: 'set' }))
+    assert.deepStrictEqual(merged.toJS(), { a: 10, b: { c: 2, d: [3, 4] }, e: 'set', f: { g: 1 } })
+    assert(merged.get('f') instanceof Map)
+    assert.deepStrictEqual(map.merge({ b: { c: 5 } }).get('b').toJS(), { c: 5 })
+    assert.strictEqual(map.merge({ a: 1 }), map)
+    assert.throws(() => map.merge(fromJS([1])), /Map.merge expects Maps or plain objects to merge\./)
+  })
+
+  test('mergeDeep recursively merges nested Maps and replaces other values', () => {
+    const merged = map.mergeDeep({ b: { c: 5, x: true, d: [9] } })
+    assert.deepStrictEqual(merged.toJS(), { a: 1, b: { c: 5, d: [9], x: true }, e: null })
+    assert.strictEqual(map.mergeDeep({ b: { c: 2 } }).get('b'), map.get('b'))
+  })
+
+  test('keys, values, entries and Symbol.iterator', () => {
+    const small = fromJS({ x: 1, y: 2 })
+    assert.deepStrictEqual([...small.keys()], ['x', 'y'])
+    assert.deepStrictEqual([...small.values()], [1, 2])
+    assert.deepStrictEqual([...small.entries()], [['x', 1], ['y', 2]])
+    assert.deepStrictEqual([...small], [['x', 1], ['y', 2]])
+    assert.deepStrictEqual(Object.fromEntries(small), { x: 1, y: 2 })
+  })
+
+  test('forEach passes (value, key, map) and stops when the callback returns false', () => {
+    const seen = []
+    const count = fromJS({ x: 1, y: 2, z: 3 }).forEach((value, key, m) => {
+      seen.push([key, value, m.size])
+      return key !== 'y'
+    })
+    assert.deepStrictEqual(seen, [['x', 1, 3], ['y', 2, 3]])
+    assert.strictEqual(count, 2)
+  })
+
+  test('map returns a new Map with transformed values', () => {
+    const doubled = fromJS({ x: 1, y: 2 }).map((value, key) => `${key}${value * 2}`)
+    assert(doubled instanceof Map)
+    assert.deepStrictEqual(doubled.toJS(), { x: 'x2', y: 'y4' })
+    assert(fromJS({ x: 1 }).map(() => ({ nested: true })).get('x') instanceof Map)
+  })
+
+  test('filter keeps matching entries', () => {
+    const source = fromJS({ x: 1, y: 2, z: 3 })
+    assert.deepStrictEqual(source.filter(value => value % 2 === 1).toJS(), { x: 1, z: 3 })
+    assert.deepStrictEqual(source.filter((value, key) => key === 'y').toJS(), { y: 2 })
+    assert.strictEqual(source.filter(() => true), source)
+  })
+
+  test('operations compose like Immutable.js reducers expect', () => {
+    const state = fromJS({ todos: { 1: { done: false }, 2: { done: true } } })
+    const next = state
+      .update('todos', todos => todos.filter(todo => !todo.get('done')))
+      .mergeDeep({ todos: { 3: { done: false } } })
+    assert.deepStrictEqual([...next.get('todos').keys()], ['1', '3'])
+    assert(next.get('todos').get('1') instanceof Map)
+    assert(!(next.get('todos') instanceof List))
+  })
+})
@@ -0,0 +1,113 @@
+import { describe, it as test } from 'node:test';
+import assert from 'node:assert';
+import { Map, List, OrderedMap, fromJS, isImmutable } from '../../src/utils/customImmutableUtils.js';
+import { persistStateMiddleware, rehydrateState } from '../../src/middleware/persistState.js';
+import { createGlobalStore } from '../../src/globalStore.js';
+
+describe('OrderedMap', () => {
+  const ordered = new OrderedMap({ b: 1, a: 2 })
+
+  test('should be an immutable Map', () => {
+    assert(isImmutable(ordered))
+    assert(ordered instanceof Map)
+    assert(Object.isFrozen(ordered))
+    assert.strictEqual(ordered.size, 2)
+    assert.strictEqual(ordered.get('a'), 2)
+    assert.strictEqual(ordered.get('missing', 'none'), 'none')
+  })
+
+  test('should iterate in insertion order', () => {
+    const updated = ordered.set('c', 3).set('b', 10).delete('a').set('a', 4)
+    assert.deepStrictEqual([...updated.keys()], ['b', 'c', 'a'])
+    assert.deepStrictEqual([...updated.values()], [10, 3, 4])
+    assert.deepStrictEqual(JSON.stringify(updated.toJS()), '{"b":10,"c":3,"a":4}')
+    assert.deepStrictEqual([...ordered.keys()], ['b', 'a'])
+  })
+
+  test('should return the same instance for no-op updates', () => {
+    assert.strictEqual(ordered.set('a', 2), ordered)
+    assert.strictEqual(ordered.delete('missing'), ordered)
+    assert.strictEqual(ordered.filter(() => true), ordered)
+  })
+
+  test('should keep its order through many deletions', () => {
+    let large = new OrderedMap()
+    for (let i = 0; i < 100; i++) large = large.set(`k${i}`, i)
+    for (let i = 0; i < 60; i++) large = large.delete(`k${i}`)
+    assert.strictEqual(large.size, 40)
+    assert.deepStrictEqual([...large.keys()].slice(0, 3), ['k60', 'k61', 'k62'])
+    assert.deepStrictEqual([...large.set('k0', 0).keys()].slice(-2), ['k99', 'k0'])
+    assert(large._list.size < 100, 'deleted positions should be compacted')
+  })
+
+  test('inherited Map helpers return OrderedMaps', () => {
+    const nested = ordered.setIn(['c', 'd'], 1)
+    assert(nested instanceof OrderedMap)
+    assert.strictEqual(nested.getIn(['c', 'd']), 1)
+    assert(nested.hasIn(['c', 'd']))
+    assert.deepStrictEqual([...nested.deleteIn(['b']).keys()], ['a', 'c'])
+    assert.deepStrictEqual([...ordered.update('b', v => v + 1).keys()], ['b', 'a'])
+    assert.deepStrictEqual([...ordered.merge({ z: 0, b: 5 }).entries()], [['b', 5], ['a', 2], ['z', 0]])
+    assert.deepStrictEqual(ordered.map(v => v * 2).toJS(), { b: 2, a: 4 })
+    assert.strictEqual(ordered.forEach(() => false), 1)
+  })
+
+  test('equality is order-sensitive and distinct from Map', () => {
+    const same = new OrderedMap({ b: 1, a: 2 })
+    const reversed = new OrderedMap({ a: 2, b: 1 })
+    assert(ordered.equals(same))
+    assert.strictEqual(ordered.hashCode(), same.hashCode())
+    assert(!ordered.equals(reversed))
+    assert(!ordered.equals(fromJS({ b: 1, a: 2 })))
+    assert(!fromJS({ b: 1, a: 2 }).equals(ordered))
+    assert(ordered.toMap().equals(fromJS({ b: 1, a: 2 })))
+    assert(fromJS({ b: 1, a: 2 }).toOrderedMap().equals(ordered))
+  })
+
+  test('fromJS converts native Maps and supports paths into them', () => {
+    const state = fromJS({ columns: new globalThis.Map([['todo', { ids: [1] }], ['done', { ids: [] }]]) })
+    const columns = state.get('columns')
+    assert(columns instanceof OrderedMap)
+    assert(columns.get('todo').get('ids') instanceof List)
+    assert.strictEqual(state.getIn(['columns', 'todo', 'ids', 0]), 1)
+    const moved = state.setIn(['columns', 'done', 'ids', 0], 1)
+    assert(moved.get('columns') instanceof OrderedMap)
+    assert.deepStrictEqual(moved.toJS(), { columns: { todo: { ids: [1] }, done: { ids: [1] } } })
+  })
+
+  test('fromJS reviver receives keys and paths bottom-up', () => {
+    const calls = []
+    const revived = fromJS({ a: { b: [1] } }, (key, value, path) => {
+      calls.push([key, path])
+      return key === 'a' ? value.toOrderedMap() : value
+    })
+    assert.deepStrictEqual(calls, [['b', ['a', 'b']], ['a', ['a']], ['', []]])
+    assert(revived.get('a') instanceof OrderedMap)
+    assert.deepStrictEqual(fromJS([{ a: 1 }]).toJS(), [{ a: 1 }])
+  })
+
+  test('should round-trip through the persistence middleware with a reviver', () => {
+    const storage = {}
+    const adapter = {
+      getItem: key => storage[key],
+      setItem: (key, value) => { storage[key] = value },
+      removeItem: key => { delete storage[key] },
+    }
+    const reducer = (state = fromJS({ steps: new OrderedMap({ zeta: 1 }) }), action) =>
+      action.type === 'ADD_STEP' ? state.setIn(['steps', action.name], action.order) : state
+    const store = createGlobalStore(reducer, undefined, {
+      middleware: [persistStateMiddleware({ key: 'steps', adapter, throttleWait: 0 })],
+      devTools: false,
+    })
+    store.dispatch({ type: 'ADD_STEP', name: 'alpha', order: 2 })
+
+    const rehydrated = rehydrateState({
+      key: 'steps',
+      adapter,
+      reviver: (key, value, path) => (path.length === 1 && key === 'steps' ? value.toOrderedMap() : value),
+    })
+    assert(rehydrated.get('steps') instanceof OrderedMap)
+    assert.deepStrictEqual([...rehydrated.get('steps').keys()], ['zeta', 'alpha'])
+    assert(rehydrated.equals(store.getState()))
+  })
+})
@@ -0,0 +1,95 @@
+import { describe, it as test } from 'node:test';
+import assert from 'node:assert';
+import { Map, List, Record, fromJS, isImmutable } from '../../src/utils/customImmutableUtils.js';
+import { createGlobalStore } from '../../src/globalStore.js';
+import { combineReducers } from '../../src/utils/customReduxUtils.js';
+
+describe('Record', () => {
+  const Counter = Record({ count: 0, step: 1, history: [] }, 'Counter')
+
+  test('should create immutable instances with defaults, with or without new', () => {
+    const counter = Counter({ step: 2 })
+    assert(isImmutable(counter))
+    assert(Object.isFrozen(counter))
+    assert(Record.isRecord(counter))
+    assert.strictEqual(counter.count, 0)
+    assert.strictEqual(counter.step, 2)
+    assert(counter.history instanceof List)
+    assert.strictEqual(new Counter().get('step'), 1)
+    assert.strictEqual(Counter(counter), counter)
+  })
+
+  test('should expose declared keys as read-only properties', () => {
+    const counter = Counter()
+    assert.throws(() => { 'use strict'; counter.count = 5 }, TypeError)
+    assert.strictEqual(counter.count, 0)
+    assert.deepStrictEqual([...counter.keys()], ['count', 'step', 'history'])
+  })
+
+  test('set should update declared keys and throw on unknown ones', () => {
+    const counter = Counter()
+    const updated = counter.set('count', 1)
+    assert.strictEqual(updated.count, 1)
+    assert.strictEqual(counter.count, 0)
+    assert.strictEqual(counter.set('count', 0), counter)
+    assert.throws(() => counter.set('countr', 1), /Cannot set unknown key "countr" on Counter\./)
+    assert.throws(() => Counter({ countr: 1 }), /Cannot set unknown key "countr" on Counter\./)
+    assert.throws(() => counter.merge({ stepp: 2 }), /unknown key "stepp"/)
+    assert.strictEqual(counter.get('countr', 'none'), 'none')
+    assert.strictEqual(counter.has('countr'), false)
+  })
+
+  test('delete should reset a key to its default', () => {
+    const counter = Counter({ count: 5 })
+    assert.strictEqual(counter.delete('count').count, 0)
+    assert.throws(() => counter.remove('nope'), /Cannot delete unknown key "nope" on Counter\./)
+  })
+
+  test('should support update, merge and nested paths', () => {
+    const counter = Counter()
+      .update('count', c => c + 1)
+      .merge(fromJS({ step: 3 }))
+      .updateIn(['history'], history => history.push('inc'))
+      .setIn(['history', 1], { by: 3 })
+    assert.deepStrictEqual(counter.toJS(), { count: 1, step: 3, history: ['inc', { by: 3 }] })
+    assert.strictEqual(counter.getIn(['history', 1, 'by']), 3)
+    assert(counter.hasIn(['history', 0]))
+    assert.deepStrictEqual(counter.deleteIn(['history', 0]).history.toJS(), [{ by: 3 }])
+    assert.throws(() => counter.setIn(['nope', 'deep'], 1), /Cannot set unknown key "nope"/)
+  })
+
+  test('equals should compare Record type and values', () => {
+    const Other = Record({ count: 0, step: 1, history: [] })
+    assert(Counter({ count: 1 }).equals(Counter().set('count', 1)))
+    assert.strictEqual(Counter().hashCode(), Counter().hashCode())
+    assert(!Counter().equals(Counter({ count: 2 })))
+    assert(!Counter().equals(Other()))
+    assert(!Counter().equals(fromJS({ count: 0, step: 1, history: [] })))
+  })
+
+  test('fromJS should keep Records as they are and can create them through a reviver', () => {
+    const counter = Counter()
+    assert.strictEqual(fromJS({ counter }).get('counter'), counter)
+    const revived = fromJS({ counter: { count: 3 } }, (key, value) => (key === 'counter' ? Counter(value) : value))
+    assert(revived.get('counter').equals(Counter({ count: 3 })))
+  })
+
+  test('should reject invalid shapes', () => {
+    assert.throws(() => Record([1]), /Record expects a plain object of default values\./)
+    assert.throws(() => Record({ get: 1 }), /Record key "get" conflicts with a Record method name\./)
+    assert.throws(() => Counter([1]), /Counter expects a plain object, a Map or a Record of values\./)
+  })
+
+  test('should pass the createGlobalStore immutability check as root and slice state', () => {
+    const reducer = (state = Counter(), action) =>
+      action.type === 'INCREMENT' ? state.update('count', c => c + state.step) : state
+    const store = createGlobalStore(reducer, Counter({ step: 5 }), { devTools: false })
+    store.dispatch({ type: 'INCREMENT' })
+    assert.strictEqual(store.getState().count, 5)
+
+    const sliced = createGlobalStore({ reducer: combineReducers({ counter: reducer }), devTools: false })
+    sliced.dispatch({ type: 'INCREMENT' })
+    assert(sliced.getState() instanceof Map)
+    assert.strictEqual(sliced.getState().getIn(['counter', 'count']), 1)
+  })
+})
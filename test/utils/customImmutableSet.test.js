@@ -0,0 +1,123 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { Map, List, Set, fromJS, isImmutable } from '../../src/utils/customImmutableUtils.js';
+import { persistStateMiddleware, rehydrateState } from '../../src/middleware/persistState.js';
+import { createGlobalStore } from '../../src/globalStore.js';
+
+describe('Set', () => {
+  const set = new Set([1, 2, 3])
+
+  test('should be immutable and drop duplicates', () => {
+    assert(isImmutable(set))
+    assert(Object.isFrozen(set))
+    assert.strictEqual(new Set([1, 1, 2]).size, 2)
+    assert.strictEqual(new Set().size, 0)
+  })
+
+  test('add, delete and has return new Sets, or the same Set when nothing changes', () => {
+    const added = set.add(4)
+    assert.strictEqual(added.size, 4)
+    assert(added.has(4))
+    assert.strictEqual(set.has(4), false)
+    assert.strictEqual(set.add(2), set)
+    assert.deepStrictEqual(set.delete(2).toJS(), [1, 3])
+    assert.strictEqual(set.delete(9), set)
+    assert.strictEqual(set.remove(1).size, 2)
+  })
+
+  test('should compare immutable members by value', () => {
+    const tags = new Set().add({ id: 1 })
+    assert(tags.has(fromJS({ id: 1 })))
+    assert.strictEqual(tags.add({ id: 1 }), tags)
+    assert(tags.get(fromJS({ id: 1 })) instanceof Map)
+  })
+
+  test('union, intersect and subtract accept Sets, Lists, arrays and iterables', () => {
+    assert.deepStrictEqual(set.union(new Set([3, 4]), [5], new globalThis.Set([6])).toJS(), [1, 2, 3, 4, 5, 6])
+    assert.strictEqual(set.union([1, 2]), set)
+    assert.deepStrictEqual(set.intersect(fromJS([2, 3, 4]), [3, 2]).toJS(), [2, 3])
+    assert.strictEqual(set.intersect([1, 2, 3, 4]), set)
+    assert.deepStrictEqual(set.subtract([1], new Set([3])).toJS(), [2])
+    assert.throws(() => set.union(5), /Set.union expects Sets, Lists, arrays or other iterables\./)
+    assert.throws(() => set.subtract(fromJS({ a: 1 })), /Set.subtract expects/)
+  })
+
+  test('equals and hashCode ignore insertion order', () => {
+    const a = new Set([1, 2, 3])
+    const b = new Set([3, 2, 1])
+    assert(a.equals(b))
+    assert.strictEqual(a.hashCode(), b.hashCode())
+    assert.strictEqual(a.add(4).delete(4).hashCode(), a.hashCode())
+    assert(!a.equals(fromJS([1, 2, 3])))
+    assert(!a.equals(a.add(4)))
+  })
+
+  test('should grow past the small-set threshold', () => {
+    let big = new Set()
+    for (let i = 0; i < 100; i++) big = big.add(`item-${i}`)
+    assert.strictEqual(big.size, 100)
+    assert(big.has('item-42'))
+    assert.strictEqual(big.delete('item-42').size, 99)
+    assert(big.equals(new Set(Array.from({ length: 100 }, (_, i) => `item-${i}`))))
+  })
+
+  test('iteration, map, filter and conversions', () => {
+    assert.deepStrictEqual([...set], [1, 2, 3])
+    assert.deepStrictEqual(set.map(v => v % 2).toJS(), [1, 0])
+    assert.deepStrictEqual(set.filter(v => v > 1).toJS(), [2, 3])
+    assert.strictEqual(set.filter(() => true), set)
+    assert(set.toList() instanceof List)
+    assert(fromJS([1, 1, 2]).toSet().equals(new Set([1, 2])))
+  })
+
+  test('fromJS converts native Sets, and paths reach into them', () => {
+    const state = fromJS({ user: { roles: new globalThis.Set(['admin', 'editor']) } })
+    assert(state.getIn(['user', 'roles']) instanceof Set)
+    assert.strictEqual(state.getIn(['user', 'roles', 'admin']), 'admin')
+    assert.strictEqual(state.getIn(['user', 'roles', 'guest'], 'none'), 'none')
+    assert(state.hasIn(['user', 'roles', 'editor']))
+
+    const updated = state.updateIn(['user', 'roles'], roles => roles.add('owner'))
+    assert.deepStrictEqual(updated.toJS(), { user: { roles: ['admin', 'editor', 'owner'] } })
+    assert.deepStrictEqual(state.deleteIn(['user', 'roles', 'admin']).getIn(['user', 'roles']).toJS(), ['editor'])
+  })
+
+  test('should be accepted as store state and listed in the DevTools serialize config', () => {
+    const originalWindow = global.window
+    const devToolsCompose = mock.fn(() => (enhancer) => enhancer)
+    global.window = { __REDUX_DEVTOOLS_EXTENSION_COMPOSE__: devToolsCompose }
+    try {
+      const store = createGlobalStore((state = fromJS({ ids: new Set([1]) })) => state)
+      assert(store.getState().get('ids') instanceof Set)
+      const { serialize } = devToolsCompose.mock.calls[0].arguments[0]
+      assert.strictEqual(serialize.immutable.Set, Set)
+      assert.deepStrictEqual(serialize.replacer(null, new Set([1, 2])), [1, 2])
+    } finally {
+      global.window = originalWindow
+    }
+  })
+
+  test('should round-trip through the persistence middleware with a reviver', () => {
+    const storage = {}
+    const adapter = {
+      getItem: key => storage[key],
+      setItem: (key, value) => { storage[key] = value },
+      removeItem: key => { delete storage[key] },
+    }
+    const reducer = (state = fromJS({ tags: new Set(['a']) }), action) =>
+      action.type === 'TAG' ? state.update('tags', tags => tags.add(action.tag)) : state
+    const store = createGlobalStore(reducer, undefined, {
+      middleware: [persistStateMiddleware({ key: 'tags', adapter, throttleWait: 0 })],
+      devTools: false,
+    })
+    store.dispatch({ type: 'TAG', tag: 'b' })
+
+    const rehydrated = rehydrateState({
+      key: 'tags',
+      adapter,
+      reviver: (key, value) => (key === 'tags' ? value.toSet() : value),
+    })
+    assert(rehydrated.get('tags') instanceof Set)
+    assert(rehydrated.equals(store.getState()))
+  })
+})
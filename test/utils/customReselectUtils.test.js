@@ -0,0 +1,108 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { createSelector, immutableEquals, defaultEquals } from '../../src/utils/customReselectUtils.js';
+import { fromJS } from '../../src/utils/customImmutableUtils.js';
+import { createGlobalStore } from '../../src/globalStore.js';
+import { connectToGlobalStore } from '../../src/bridge.js';
+
+describe('createSelector', () => {
+  const state = fromJS({ todos: [{ id: 1, done: true }, { id: 2, done: false }], filter: 'all' })
+  const selectTodos = s => s.get('todos')
+
+  test('should memoize on input identity', () => {
+    const resultFn = mock.fn(todos => todos.toJS().filter(t => t.done))
+    const selectDone = createSelector([selectTodos], resultFn)
+
+    const first = selectDone(state)
+    assert.deepStrictEqual(first, [{ id: 1, done: true }])
+    assert.strictEqual(selectDone(state.set('filter', 'done')), first)
+    assert.strictEqual(selectDone.recomputations(), 1)
+    assert.strictEqual(resultFn.mock.calls.length, 1)
+  })
+
+  test('should recompute when an input changes by reference', () => {
+    const selectCount = createSelector(selectTodos, todos => todos.toJS().length)
+    selectCount(state)
+    // fromJS builds a new but equal List, which breaks reference equality.
+    selectCount(state.set('todos', fromJS(state.get('todos').toJS())))
+    assert.strictEqual(selectCount.recomputations(), 2)
+  })
+
+  test('should fall back to Map/List equality with immutableEquals', () => {
+    const selectCount = createSelector(selectTodos, todos => todos.toJS().length, { equals: immutableEquals })
+    const first = selectCount(state)
+    assert.strictEqual(selectCount(state.set('todos', fromJS(state.get('todos').toJS()))), first)
+    assert.strictEqual(selectCount.recomputations(), 1)
+
+    selectCount(state.setIn(['todos', 1, 'done'], true))
+    assert.strictEqual(selectCount.recomputations(), 2)
+  })
+
+  test('should reset recomputations and clear the cache', () => {
+    const selectCount = createSelector(selectTodos, todos => todos.toJS().length)
+    selectCount(state)
+    selectCount.resetRecomputations()
+    assert.strictEqual(selectCount.recomputations(), 0)
+    selectCount.clearCache()
+    selectCount(state)
+    assert.strictEqual(selectCount.recomputations(), 1)
+  })
+
+  test('should support parametrized selectors with a bounded cache', () => {
+    const selectTodoById = createSelector(
+      [selectTodos, (s, id) => id],
+      (todos, id) => todos.toJS().find(t => t.id === id),
+      { cacheSize: 2 }
+    )
+
+    const todo1 = selectTodoById(state, 1)
+    const todo2 = selectTodoById(state, 2)
+    assert.strictEqual(selectTodoById(state, 1), todo1)
+    assert.strictEqual(selectTodoById(state, 2), todo2)
+    assert.strictEqual(selectTodoById.recomputations(), 2)
+
+    // A third id evicts the least recently used entry (id 1).
+    selectTodoById(state, 3)
+    selectTodoById(state, 2)
+    assert.strictEqual(selectTodoById.recomputations(), 3)
+    selectTodoById(state, 1)
+    assert.strictEqual(selectTodoById.recomputations(), 4)
+  })
+
+  test('should validate its arguments', () => {
+    assert.throws(() => createSelector([], () => { }), /input selectors to be a function or an array of functions/)
+    assert.throws(() => createSelector(['x'], () => { }), /input selectors to be a function or an array of functions/)
+    assert.throws(() => createSelector(selectTodos, null), /result function to be a function/)
+    assert.throws(() => createSelector(selectTodos, x => x, { equals: 'deep' }), /`equals` to be a function/)
+    assert.throws(() => createSelector(selectTodos, x => x, { cacheSize: 0 }), /`cacheSize` to be a positive integer/)
+  })
+
+  test('equality helpers should compare as documented', () => {
+    assert.strictEqual(defaultEquals(fromJS({ a: 1 }), fromJS({ a: 1 })), false)
+    assert.strictEqual(immutableEquals(fromJS({ a: 1 }), fromJS({ a: 1 })), true)
+    assert.strictEqual(immutableEquals(fromJS({ a: 1 }), { a: 1 }), false)
+    assert.strictEqual(immutableEquals(1, 1), true)
+  })
+
+  test('should avoid recomputation when used with the bridge', () => {
+    const reducer = (s = state, action) => {
+      if (action.type === 'SET_FILTER') return s.set('filter', action.filter)
+      if (action.type === 'COMPLETE') return s.setIn(['todos', action.index, 'done'], true)
+      return s
+    }
+    const store = createGlobalStore(reducer, state)
+    const scoped = {}
+    connectToGlobalStore(scoped, store)
+
+    const selectDoneCount = createSelector(selectTodos, todos => todos.toJS().filter(t => t.done).length)
+    const doneCount = scoped.createGlobalStateSelector(selectDoneCount)
+    selectDoneCount.resetRecomputations()
+
+    store.dispatch({ type: 'SET_FILTER', filter: 'done' })
+    assert.strictEqual(selectDoneCount.recomputations(), 0)
+
+    store.dispatch({ type: 'COMPLETE', index: 1 })
+    assert.strictEqual(selectDoneCount.recomputations(), 1)
+    assert.strictEqual(doneCount.val, 2)
+  })
+})
@@ -0,0 +1,424 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { state, derive, add, batch, transaction, effect, watch, onCleanup } from '../../src/utils/customVanUtils.js';
+import { bindProperty, bindTextContent } from '../../src/utils/domBinding.js';
+
+describe('batch', () => {
+  test('should defer dependents until the batch ends and run each once', () => {
+    const first = state('a')
+    const last = state('b')
+    const parent = document.createElement('div')
+    const render = mock.fn(() => `${first.val} ${last.val}`)
+    add(parent, render)
+    render.mock.resetCalls()
+
+    const result = batch(() => {
+      first.val = 'x'
+      last.val = 'y'
+      first.val = 'z'
+      assert.strictEqual(render.mock.calls.length, 0)
+      return 'done'
+    })
+
+    assert.strictEqual(result, 'done')
+    assert.strictEqual(render.mock.calls.length, 1)
+    assert.strictEqual(render.mock.calls[0].result, 'z y')
+  })
+
+  test('nested batches should flush only when the outermost one ends', () => {
+    const count = state(0)
+    const seen = []
+    add(document.createElement('div'), () => { seen.push(count.val); return null })
+    seen.length = 0
+
+    batch(() => {
+      batch(() => { count.val = 1 })
+      assert.deepStrictEqual(seen, [])
+      count.val = 2
+    })
+    assert.deepStrictEqual(seen, [2])
+  })
+
+  test('derived states should see every write of the batch', () => {
+    const a = state(1)
+    const b = state(2)
+    const sum = derive(() => a.val + b.val)
+    batch(() => {
+      a.val = 10
+      b.val = 20
+    })
+    assert.strictEqual(sum.val, 30)
+  })
+
+  test('should still flush if the batch throws', () => {
+    const count = state(0)
+    const seen = []
+    add(document.createElement('div'), () => { seen.push(count.val); return null })
+    seen.length = 0
+    assert.throws(() => batch(() => {
+      count.val = 1
+      throw new Error('boom')
+    }), /boom/)
+    assert.deepStrictEqual(seen, [1])
+  })
+
+  test('flush: "microtask" should coalesce writes until the next microtask', async () => {
+    const count = state(0)
+    const seen = []
+    add(document.createElement('div'), () => { seen.push(count.val); return null })
+    seen.length = 0
+
+    batch(() => { count.val = 1 }, { flush: 'microtask' })
+    count.val = 2
+    assert.deepStrictEqual(seen, [])
+    await Promise.resolve()
+    assert.deepStrictEqual(seen, [2])
+  })
+
+  test('should reject non-function arguments', () => {
+    assert.throws(() => batch(null), /batch expects a function\./)
+    assert.throws(() => transaction('nope'), /transaction expects a function\./)
+  })
+})
+
+describe('transaction', () => {
+  test('should batch notifications like batch', () => {
+    const count = state(0)
+    const seen = []
+    add(document.createElement('div'), () => { seen.push(count.val); return null })
+    seen.length = 0
+    transaction(() => {
+      count.val = 1
+      count.val = 2
+    })
+    assert.deepStrictEqual(seen, [2])
+  })
+
+  test('should restore every written state if it throws', () => {
+    const name = state('Ada')
+    const age = state(36)
+    const untouched = state('same')
+    assert.throws(() => transaction(() => {
+      name.val = 'Grace'
+      age.val = 85
+      age.val = 86
+      throw new Error('validation failed')
+    }), /validation failed/)
+    assert.strictEqual(name.val, 'Ada')
+    assert.strictEqual(age.val, 36)
+    assert.strictEqual(untouched.val, 'same')
+  })
+
+  test('derived states read inside a rolled-back transaction should return to the restored values', () => {
+    const a = state(1)
+    const d = derive(() => a.val * 2)
+    const seen = []
+    effect(() => { seen.push(d.val) })
+    assert.throws(() => transaction(() => {
+      a.val = 5
+      assert.strictEqual(d.val, 10)
+      throw new Error('rollback')
+    }), /rollback/)
+    assert.strictEqual(a.val, 1)
+    assert.strictEqual(d.val, 2)
+    assert.strictEqual(seen[seen.length - 1], 2)
+    assert.ok(!seen.includes(10))
+  })
+
+  test('an outer rollback should also undo committed nested transactions', () => {
+    const count = state(0)
+    assert.throws(() => transaction(() => {
+      transaction(() => { count.val = 1 })
+      assert.strictEqual(count.val, 1)
+      throw new Error('outer')
+    }))
+    assert.strictEqual(count.val, 0)
+  })
+
+  test('an inner rollback should keep the outer transaction\'s writes', () => {
+    const a = state(0)
+    const b = state(0)
+    transaction(() => {
+      a.val = 1
+      try {
+        transaction(() => {
+          b.val = 1
+          throw new Error('inner')
+        })
+      } catch { }
+    })
+    assert.strictEqual(a.val, 1)
+    assert.strictEqual(b.val, 0)
+  })
+})
+
+describe('derive propagation', () => {
+  test('a diamond should recompute the bottom derived state once, with consistent inputs', () => {
+    const a = state(1)
+    const b = derive(() => a.val * 2)
+    const c = derive(() => a.val + 10)
+    const seen = []
+    const d = derive(() => {
+      seen.push([b.val, c.val])
+      return b.val + c.val
+    })
+    seen.length = 0
+
+    a.val = 2
+    assert.deepStrictEqual(seen, [[4, 12]])
+    assert.strictEqual(d.val, 16)
+  })
+
+  test('chains of different lengths should settle before dependents run', () => {
+    const a = state(1)
+    const b = derive(() => a.val + 1)
+    const c = derive(() => b.val + 1)
+    const d = derive(() => c.val + 1)
+    const rendered = []
+    add(document.createElement('div'), () => { rendered.push([a.val, d.val]); return null })
+    const sum = derive(() => a.val + d.val)
+    rendered.length = 0
+
+    a.val = 5
+    assert.deepStrictEqual(rendered, [[5, 8]])
+    assert.strictEqual(sum.val, 13)
+  })
+
+  test('should skip derived states whose inputs did not change', () => {
+    const count = state(1)
+    const isEven = derive(() => count.val % 2 === 0)
+    const label = mock.fn(() => (isEven.val ? 'even' : 'odd'))
+    derive(label)
+    label.mock.resetCalls()
+
+    count.val = 3
+    assert.strictEqual(label.mock.calls.length, 0)
+    count.val = 4
+    assert.strictEqual(label.mock.calls.length, 1)
+  })
+
+  test('should keep height order after a derived state switches to a deeper branch', () => {
+    const useDeep = state(false)
+    const a = state(1)
+    const b = derive(() => a.val + 1)
+    const c = derive(() => b.val + 1)
+    const pick = derive(() => (useDeep.val ? c.val : a.val))
+    const seen = []
+    derive(() => { seen.push([pick.val, c.val]); return null })
+    useDeep.val = true
+    seen.length = 0
+
+    a.val = 2
+    assert.deepStrictEqual(seen, [[4, 4]])
+  })
+
+  test('a wide graph should settle every derived state once', () => {
+    const a = state(0)
+    const runs = mock.fn()
+    const doubled = Array.from({ length: 500 }, (_, i) => derive(() => a.val + i))
+      .map(d => derive(() => { runs(); return d.val * 2 }))
+    runs.mock.resetCalls()
+
+    a.val = 1
+    assert.strictEqual(runs.mock.calls.length, 500)
+    assert.strictEqual(doubled[499].val, 1000)
+  })
+
+  test('derived values read inside a batch should be up to date', () => {
+    const a = state(1)
+    const b = derive(() => a.val * 2)
+    const c = derive(() => b.val + 1)
+    batch(() => {
+      a.val = 5
+      assert.strictEqual(c.val, 11)
+      assert.strictEqual(b.val, 10)
+    })
+    assert.strictEqual(c.val, 11)
+  })
+})
+
+describe('dependency cleanup and disposal', () => {
+  test('derive should drop states that a branch no longer reads', () => {
+    const useFirst = state(true)
+    const first = state('a')
+    const second = state('b')
+    const compute = mock.fn(() => (useFirst.val ? first.val : second.val))
+    const picked = derive(compute)
+    assert.strictEqual(second._dependents.size, 0)
+
+    useFirst.val = false
+    assert.strictEqual(picked.val, 'b')
+    assert.strictEqual(first._dependents.size, 0)
+    assert.strictEqual(second._dependents.size, 1)
+
+    compute.mock.resetCalls()
+    first.val = 'ignored'
+    assert.strictEqual(compute.mock.calls.length, 0)
+  })
+
+  test('add effects should re-track their dependencies on every run', () => {
+    const showDetails = state(false)
+    const details = state('details')
+    const render = mock.fn(() => (showDetails.val ? details.val : 'summary'))
+    add(document.createElement('div'), render)
+    assert.strictEqual(details._dependents.size, 0)
+
+    showDetails.val = true
+    assert.strictEqual(details._dependents.size, 1)
+    showDetails.val = false
+    assert.strictEqual(details._dependents.size, 0)
+  })
+
+  test('dispose should unsubscribe a derived state and keep its last value', () => {
+    const count = state(1)
+    const doubled = derive(() => count.val * 2)
+    doubled.dispose()
+    assert.strictEqual(count._dependents.size, 0)
+    count.val = 5
+    assert.strictEqual(doubled.val, 2)
+  })
+
+  test('dispose should stop an add effect, even with an update pending', () => {
+    const count = state(1)
+    const render = mock.fn(() => String(count.val))
+    const handle = add(document.createElement('div'), render)
+    render.mock.resetCalls()
+
+    batch(() => {
+      count.val = 2
+      handle.dispose()
+    })
+    assert.strictEqual(render.mock.calls.length, 0)
+    assert.strictEqual(count._dependents.size, 0)
+    assert.doesNotThrow(() => add(document.createElement('div'), 'static').dispose())
+  })
+  test('domBinding helpers should return dispose handles', () => {
+    const title = state('Draft')
+    const element = {}
+    const handle = bindProperty(element, 'title', title)
+    const textHandle = bindTextContent(element, title)
+    title.val = 'Final'
+    assert.strictEqual(element.title, 'Final')
+
+    handle.dispose()
+    textHandle.dispose()
+    assert.strictEqual(title._dependents.size, 0)
+    title.val = 'Changed'
+    assert.strictEqual(element.title, 'Final')
+    assert.strictEqual(element.textContent, 'Final')
+  })
+})
+
+describe('effect and onCleanup', () => {
+  test('should run now and whenever a dependency changes', () => {
+    const count = state(0)
+    const seen = []
+    effect(() => { seen.push(count.val) })
+    count.val = 1
+    count.val = 2
+    assert.deepStrictEqual(seen, [0, 1, 2])
+  })
+
+  test('should run after derived states settle', () => {
+    const count = state(1)
+    const doubled = derive(() => count.val * 2)
+    const seen = []
+    effect(() => { seen.push([count.val, doubled.val]) })
+    count.val = 2
+    assert.deepStrictEqual(seen, [[1, 2], [2, 4]])
+  })
+
+  test('a throwing effect should not keep the others from running', () => {
+    const count = state(0)
+    const seen = []
+    effect(() => { if (count.val === 1) throw new Error('first failed') })
+    effect(() => { seen.push(count.val) })
+    effect(() => { if (count.val === 1) throw new Error('third failed') })
+
+    assert.throws(() => { count.val = 1 }, /first failed/)
+    assert.deepStrictEqual(seen, [0, 1])
+    count.val = 2
+    assert.deepStrictEqual(seen, [0, 1, 2])
+  })
+
+  test('cleanups should run before each re-run and on dispose', () => {
+    const count = state(0)
+    const log = []
+    const handle = effect(() => {
+      const value = count.val
+      log.push(`run ${value}`)
+      onCleanup(() => log.push(`cleanup ${value}`))
+    })
+    count.val = 1
+    handle.dispose()
+    handle.dispose()
+    count.val = 2
+    assert.deepStrictEqual(log, ['run 0', 'cleanup 0', 'run 1', 'cleanup 1'])
+    assert.strictEqual(count._dependents.size, 0)
+  })
+
+  test('should validate its arguments', () => {
+    assert.throws(() => effect(null), /effect expects a function\./)
+    assert.throws(() => onCleanup(() => { }), /onCleanup must be called while an effect or watch callback runs\./)
+    assert.throws(() => effect(() => onCleanup('nope')), /onCleanup expects a function\./)
+  })
+})
+
+describe('watch', () => {
+  test('should call back with the next and previous values', () => {
+    const count = state(0)
+    const calls = []
+    watch(count, (next, prev) => calls.push([next, prev]))
+    assert.deepStrictEqual(calls, [])
+    count.val = 1
+    count.val = 5
+    assert.deepStrictEqual(calls, [[1, 0], [5, 1]])
+  })
+
+  test('immediate should call back once right away', () => {
+    const count = state(3)
+    const calls = []
+    watch(() => count.val * 2, (next, prev) => calls.push([next, prev]), { immediate: true })
+    count.val = 4
+    assert.deepStrictEqual(calls, [[6, undefined], [8, 6]])
+  })
+
+  test('a custom equals should suppress callbacks for equivalent values', () => {
+    const user = state({ id: 1, name: 'Ada' })
+    const callback = mock.fn()
+    watch(user, callback, { equals: (a, b) => a.id === b.id })
+    user.val = { id: 1, name: 'Ada L.' }
+    assert.strictEqual(callback.mock.calls.length, 0)
+    user.val = { id: 2, name: 'Grace' }
+    assert.strictEqual(callback.mock.calls.length, 1)
+  })
+
+  test('states read inside the callback should not be tracked', () => {
+    const source = state(0)
+    const other = state('x')
+    const callback = mock.fn(() => other.val)
+    watch(source, callback)
+    source.val = 1
+    other.val = 'y'
+    assert.strictEqual(callback.mock.calls.length, 1)
+  })
+
+  test('dispose should stop watching and run the callback cleanups', () => {
+    const source = state(0)
+    const log = []
+    const handle = watch(source, (next) => {
+      log.push(`call ${next}`)
+      onCleanup(() => log.push(`cleanup ${next}`))
+    })
+    source.val = 1
+    source.val = 2
+    handle.dispose()
+    source.val = 3
+    assert.deepStrictEqual(log, ['call 1', 'cleanup 1', 'call 2', 'cleanup 2'])
+  })
+
+  test('should validate its arguments', () => {
+    assert.throws(() => watch(42, () => { }), /watch expects a state, a derived state or a getter function as its source\./)
+    assert.throws(() => watch(state(0), null), /watch expects a callback function\./)
+  })
+})
@@ -0,0 +1,155 @@
+import { describe, it as test, mock } from 'node:test';
+import assert from 'node:assert';
+import { Map, List, fromJS } from '../../src/utils/customImmutableUtils.js';
+
+function largeObject(count) {
+  const obj = {}
+  for (let i = 0; i < count; i++) obj[`key${i}`] = i
+  return obj
+}
+
+describe('Map structural sharing', () => {
+  test('should read and write large maps without mutating the original', () => {
+    const map = fromJS(largeObject(2000))
+    const updated = map.set('key1500', 'changed').set('extra', true)
+
+    assert.strictEqual(map.get('key1500'), 1500)
+    assert.strictEqual(map.get('extra'), undefined)
+    assert.strictEqual(updated.get('key1500'), 'changed')
+    assert.strictEqual(updated.get('extra'), true)
+    assert.deepStrictEqual(map.toJS(), largeObject(2000))
+  })
+
+  test('should reuse untouched branches of the trie', () => {
+    const map = fromJS(largeObject(2000))
+    const updated = map.set('key7', 'changed')
+    const shared = updated._root.children.filter((child, i) => child === map._root.children[i])
+    assert(shared.length >= map._root.children.length - 1)
+  })
+
+  test('should return the same instance when a value is set to itself', () => {
+    const nested = fromJS({ a: 1 })
+    const map = fromJS({ nested, count: 1 })
+    assert.strictEqual(map.set('count', 1), map)
+    assert.strictEqual(map.set('nested', nested), map)
+  })
+
+  test('should keep insertion order for small maps', () => {
+    const map = new Map().set('z', 1).set('a', 2).set('m', 3)
+    assert.deepStrictEqual(Object.keys(map.toJS()), ['z', 'a', 'm'])
+  })
+
+  test('should keep insertion order for large maps', () => {
+    const keys = ['user', 'settings', 'todos', 'filter', 'session', 'theme', 'locale', 'cart', 'orders', 'profile']
+    const map = keys.reduce((result, key, i) => result.set(key, i), new Map())
+    assert.deepStrictEqual(Array.from(map.keys()), keys)
+    assert.deepStrictEqual(Object.keys(map.toJS()), keys)
+    assert.deepStrictEqual(Object.keys(fromJS(Object.fromEntries(keys.map(key => [key, 1]))).toJS()), keys)
+
+    const updated = map.set('user', 'changed').delete('todos').set('todos', 2).set('extra', true)
+    assert.deepStrictEqual(Array.from(updated.keys()), [...keys.filter(key => key !== 'todos'), 'todos', 'extra'])
+    assert.deepStrictEqual(Array.from(map.keys()), keys)
+
+    // 'Aa' and 'BB' share a hash code, so these keys all land in one collision node.
+    const colliding = ['BBBB', 'AaAa', 'BBAa', 'AaBB']
+    const withCollisions = [...keys, ...colliding].reduce((result, key) => result.set(key, key), new Map())
+    assert.deepStrictEqual(Array.from(withCollisions.delete('AaAa').set('AaAa', 1).keys()),
+      [...keys, 'BBBB', 'BBAa', 'AaBB', 'AaAa'])
+
+    const large = fromJS(largeObject(2000))
+    assert.deepStrictEqual(Array.from(large.keys()), Object.keys(largeObject(2000)))
+    assert(updated.equals(keys.reduceRight((result, key, i) => result.set(key, i), new Map())
+      .set('user', 'changed').set('extra', true)))
+  })
+
+  test('should handle keys whose hashes collide', () => {
+    // "Aa" and "BB" share the same string hash.
+    const map = fromJS(largeObject(20)).set('Aa', 1).set('BB', 2)
+    assert.strictEqual(map.get('Aa'), 1)
+    assert.strictEqual(map.get('BB'), 2)
+    assert.strictEqual(map.set('Aa', 3).get('BB'), 2)
+    assert(map.equals(fromJS({ ...largeObject(20), BB: 2, Aa: 1 })))
+  })
+
+  test('should still expose a frozen _data snapshot', () => {
+    const map = fromJS({ a: 1 })
+    assert.deepStrictEqual({ ...map._data }, { a: 1 })
+    assert.throws(() => { map._data.a = 2 }, TypeError)
+  })
+})
+
+describe('List structural sharing', () => {
+  test('should push, set, get and delete across trie levels', () => {
+    let list = new List()
+    for (let i = 0; i < 5000; i++) list = list.push(i)
+    assert.strictEqual(list.get(4999), 4999)
+    assert.strictEqual(list.get(1024), 1024)
+
+    const updated = list.set(3000, 'changed')
+    assert.strictEqual(updated.get(3000), 'changed')
+    assert.strictEqual(list.get(3000), 3000)
+
+    const removed = updated.delete(0)
+    assert.strictEqual(removed.get(0), 1)
+    assert.strictEqual(removed.get(2999), 'changed')
+    assert.strictEqual(removed._data.length, 4999)
+  })
+
+  test('should build large lists from arrays', () => {
+    const values = Array.from({ length: 40000 }, (_, i) => i)
+    const list = new List(values)
+    assert.deepStrictEqual(list.toJS(), values)
+    assert.strictEqual(list.push('last').get(40000), 'last')
+  })
+
+  test('should reuse untouched branches of the trie', () => {
+    const list = new List(Array.from({ length: 2000 }, (_, i) => i))
+    const updated = list.set(5, 'changed')
+    const shared = updated._root.filter((child, i) => child === list._root[i])
+    assert.strictEqual(shared.length, list._root.length - 1)
+  })
+
+  test('should return the same instance when a value is set to itself', () => {
+    const list = fromJS([1, 2, 3])
+    assert.strictEqual(list.set(1, 2), list)
+  })
+})
+
+describe('hash codes and equality', () => {
+  test('equal collections should have equal hash codes regardless of build order', () => {
+    const a = new Map().set('x', 1).set('y', fromJS([1, 2]))
+    const b = new Map().set('y', fromJS([1, 2])).set('x', 1)
+    assert.strictEqual(a.hashCode(), b.hashCode())
+    assert(a.equals(b))
+    assert.notStrictEqual(fromJS([1, 2]).hashCode(), fromJS([2, 1]).hashCode())
+  })
+
+  test('incrementally maintained hash codes should match freshly computed ones', () => {
+    const map = fromJS(largeObject(50))
+    map.hashCode()
+    const updated = map.set('key3', 'x').set('new', fromJS({ deep: [1] }))
+    assert.strictEqual(updated.hashCode(), fromJS(updated.toJS()).hashCode())
+
+    const list = fromJS([1, 2, 3])
+    list.hashCode()
+    const updatedList = list.set(1, 'two').push(4)
+    assert.strictEqual(updatedList.hashCode(), fromJS(updatedList.toJS()).hashCode())
+  })
+
+  test('equals should short-circuit on hash mismatch without a deep walk', () => {
+    const listEquals = mock.method(List.prototype, 'equals')
+    try {
+      const a = fromJS({ items: [1, 2, 3], count: 1 })
+      const b = fromJS({ items: [1, 2, 3], count: 2 })
+      assert.strictEqual(a.equals(b), false)
+      assert.strictEqual(listEquals.mock.calls.length, 0)
+    } finally {
+      listEquals.mock.restore()
+    }
+  })
+
+  test('Map and List should never be equal to each other', () => {
+    assert.strictEqual(fromJS({ 0: 1 }).equals(fromJS([1])), false)
+    assert.strictEqual(fromJS([1]).equals(fromJS({ 0: 1 })), false)
+  })
+})